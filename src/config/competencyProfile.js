@@ -0,0 +1,96 @@
+/**
+ * Default mapping from game competencies to the global competencies of the
+ * user profile (GET /api/users/:userId/profile)
+ * Admins can replace it with PUT /api/scoring/profile-mapping
+ *
+ * Each global competency averages its sources, weighted by source weight and
+ * by recency: a session half_life_days old counts half as much as one from today.
+ * score_field picks the session value: 'raw' (competency score) or
+ * 'percentile' (against the version's norms).
+ */
+module.exports = {
+  half_life_days: 180,
+  score_field: 'raw',
+  competencies: {
+    memory: {
+      label: 'Memory',
+      sources: [
+        { game_type: 'face_name_match', competency: 'memory', weight: 1 },
+        { game_type: 'card_flip_challenge', competency: 'pattern_recognition', weight: 0.5 }
+      ]
+    },
+    processing_speed: {
+      label: 'Processing Speed',
+      sources: [
+        { game_type: 'mental_math_sprint', competency: 'speed', weight: 1 },
+        { game_type: 'stroop_test', competency: 'speed', weight: 1 },
+        { game_type: 'face_name_match', competency: 'speed', weight: 0.5 },
+        { game_type: 'sign_sudoku', competency: 'speed', weight: 0.5 },
+        { game_type: 'card_flip_challenge', competency: 'speed', weight: 0.5 },
+        { game_type: 'vocab_challenge', competency: 'speed', weight: 0.5 }
+      ]
+    },
+    cognitive_flexibility: {
+      label: 'Cognitive Flexibility',
+      sources: [
+        { game_type: 'stroop_test', competency: 'cognitive_flexibility', weight: 1 },
+        { game_type: 'stroop_test', competency: 'cognitive_agility', weight: 0.5 }
+      ]
+    },
+    attention_to_detail: {
+      label: 'Attention to Detail',
+      sources: [
+        { game_type: 'sign_sudoku', competency: 'attention_to_detail', weight: 1 },
+        { game_type: 'sign_sudoku', competency: 'accuracy', weight: 0.5 },
+        { game_type: 'mental_math_sprint', competency: 'accuracy', weight: 0.5 },
+        { game_type: 'stroop_test', competency: 'accuracy', weight: 0.5 },
+        { game_type: 'face_name_match', competency: 'accuracy', weight: 0.5 }
+      ]
+    },
+    numerical_reasoning: {
+      label: 'Numerical Reasoning',
+      sources: [
+        { game_type: 'mental_math_sprint', competency: 'quantitative_aptitude', weight: 1 },
+        { game_type: 'sign_sudoku', competency: 'math', weight: 1 }
+      ]
+    },
+    reasoning: {
+      label: 'Reasoning',
+      sources: [
+        { game_type: 'sign_sudoku', competency: 'reasoning', weight: 1 },
+        { game_type: 'card_flip_challenge', competency: 'reasoning', weight: 1 },
+        { game_type: 'lucky_flip', competency: 'reasoning', weight: 1 },
+        { game_type: 'scenario_challenge', competency: 'reasoning', weight: 1 },
+        { game_type: 'statement_reasoning', competency: 'reasoning', weight: 1 }
+      ]
+    },
+    strategy: {
+      label: 'Strategy & Drive',
+      sources: [
+        { game_type: 'card_flip_challenge', competency: 'strategy', weight: 1 },
+        { game_type: 'lucky_flip', competency: 'drive', weight: 1 },
+        { game_type: 'scenario_challenge', competency: 'decision_making', weight: 0.5 }
+      ]
+    },
+    verbal_ability: {
+      label: 'Verbal Ability',
+      sources: [
+        { game_type: 'vocab_challenge', competency: 'vocabulary', weight: 1 },
+        { game_type: 'scenario_challenge', competency: 'communication', weight: 0.5 }
+      ]
+    },
+    creativity: {
+      label: 'Creativity',
+      sources: [
+        { game_type: 'creative_uses', competency: 'creativity', weight: 1 },
+        { game_type: 'scenario_challenge', competency: 'creativity', weight: 0.5 }
+      ]
+    },
+    empathy: {
+      label: 'Empathy',
+      sources: [
+        { game_type: 'scenario_challenge', competency: 'empathy', weight: 1 }
+      ]
+    }
+  }
+};
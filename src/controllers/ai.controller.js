@@ -1,5 +1,11 @@
 const aiService = require('../services/ai.service');
 const scoringService = require('../services/scoring.service');
+const inputValidator = require('../services/inputValidator');
+const gameRegistry = require('../services/gameRegistry');
+const normsService = require('../services/norms.service');
+const batteryService = require('../services/battery.service');
+const experimentService = require('../services/experiment.service');
+const shadowService = require('../services/shadow.service');
 
 class AIController {
   
@@ -19,8 +25,7 @@ class AIController {
       }
 
       // Validate it's an AI-scored game
-      const aiGames = ['scenario_challenge', 'ai_debate', 'statement_reasoning', 'creative_uses', 'lucky_flip'];
-      if (!aiGames.includes(game_type)) {
+      if (!gameRegistry.supportsAIScoring(game_type)) {
         return res.status(400).json({
           success: false,
           error: `${game_type} does not require AI scoring`
@@ -36,7 +41,7 @@ class AIController {
         aiScores = await aiService.scoreResponse(game_type, response_data, version.config);
       } else {
         // Fallback to mock scores if no API key
-        const competencies = Object.keys(version.config.final_weights);
+        const competencies = gameRegistry.getAICompetencies(game_type, version.config);
         aiScores = aiService.getMockScores(competencies);
         console.warn('⚠️  Using mock AI scores - configure GEMINI_API_KEY for real evaluation');
       }
@@ -50,6 +55,14 @@ class AIController {
       });
 
     } catch (error) {
+      // No active version for the game (getActiveVersion), as /api/games/submit reports it
+      if (error.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       console.error('AI scoring error:', error);
       res.status(500).json({
         success: false,
@@ -64,7 +77,7 @@ class AIController {
    */
   async submitAIGame(req, res) {
     try {
-      const { game_type, response_data, user_id } = req.body;
+      const { game_type, response_data, user_id, age_band, cohort, battery_session_id } = req.body;
 
       if (!game_type || !response_data || !user_id) {
         return res.status(400).json({
@@ -73,15 +86,52 @@ class AIController {
         });
       }
 
-      // Step 1: Get active config
-      const version = await scoringService.getActiveVersion(game_type);
+      if (!gameRegistry.supportsAIScoring(game_type)) {
+        return res.status(400).json({
+          success: false,
+          error: `${game_type} does not require AI scoring`
+        });
+      }
+
+      // Validate response_data against the game's input contract
+      const inputValidation = inputValidator.validate(game_type, response_data, 'response_data');
+
+      if (!inputValidation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: `Invalid response_data for ${game_type}`,
+          details: inputValidation.errors
+        });
+      }
+
+      // Step 1: Get config (pinned by the battery, assigned by a running
+      // experiment, otherwise the active one)
+      let version;
+      const experiment = battery_session_id
+        ? null
+        : await experimentService.resolveVersion(game_type, user_id);
+      if (battery_session_id) {
+        const batteryVersion = await batteryService.getSubmissionVersion(battery_session_id, user_id, game_type);
+
+        if (!batteryVersion.valid) {
+          return res.status(batteryVersion.status).json({
+            success: false,
+            error: batteryVersion.error
+          });
+        }
+        version = batteryVersion.version;
+      } else if (experiment) {
+        version = experiment.version;
+      } else {
+        version = await scoringService.getActiveVersion(game_type);
+      }
 
       // Step 2: Get AI scores
       let aiScores;
       if (process.env.GEMINI_API_KEY) {
         aiScores = await aiService.scoreResponse(game_type, response_data, version.config);
       } else {
-        const competencies = Object.keys(version.config.final_weights);
+        const competencies = gameRegistry.getAICompetencies(game_type, version.config);
         aiScores = aiService.getMockScores(competencies);
       }
 
@@ -94,6 +144,9 @@ class AIController {
         aiScores
       );
 
+      // Compare against the version's population norms
+      await normsService.annotateScores(version, finalScores, { age_band, cohort });
+
       // Step 4: Save to database
       const supabase = require('../config/supabase');
 
@@ -103,6 +156,11 @@ class AIController {
           user_id: user_id,
           game_type: game_type,
           scoring_version_id: version.id,
+          age_band: age_band || null,
+          cohort: cohort || null,
+          battery_session_id: battery_session_id || null,
+          experiment_id: experiment ? experiment.experiment_id : null,
+          experiment_arm: experiment ? experiment.experiment_arm : null,
           status: 'in_progress'
         })
         .select()
@@ -133,8 +191,20 @@ class AIController {
         })
         .eq('id', session.id);
 
+      // Another attempt completed this battery game in the meantime
+      if (updateError && updateError.code === '23505' && battery_session_id) {
+        return res.status(409).json({
+          success: false,
+          error: `${game_type} was already submitted in this battery session`
+        });
+      }
       if (updateError) throw updateError;
 
+      // Battery sessions complete (with their composite score) after their last game
+      const battery = battery_session_id
+        ? await batteryService.recordProgress(battery_session_id)
+        : null;
+
       res.json({
         success: true,
         message: 'AI game submitted successfully',
@@ -142,11 +212,25 @@ class AIController {
           session_id: session.id,
           version_used: version.version_name,
           ai_scores: aiScores,
-          final_scores: finalScores
+          final_scores: finalScores,
+          battery: battery ? { status: battery.status, progress: battery.progress, composite: battery.composite } : undefined,
+          experiment: experiment ? { id: experiment.experiment_id, arm: experiment.experiment_arm } : undefined
         }
       });
 
+      // Score candidate (shadow) versions after responding so they add no latency;
+      // scoreShadows never rejects
+      shadowService.scoreShadows(game_type, session.id, version, response_data, aiScores);
+
     } catch (error) {
+      // No active version for the game (getActiveVersion), as /api/games/submit reports it
+      if (error.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       console.error('AI game submission error:', error);
       res.status(500).json({
         success: false,
@@ -1,9 +1,15 @@
 const scoringCalculator = require('../services/scoringCalculator');
+const inputValidator = require('../services/inputValidator');
+const gameRegistry = require('../services/gameRegistry');
+const normsService = require('../services/norms.service');
+const batteryService = require('../services/battery.service');
+const experimentService = require('../services/experiment.service');
+const shadowService = require('../services/shadow.service');
 const supabase = require('../config/supabase');
 
 exports.submitGame = async (req, res) => {
   try {
-    const { game_type, user_id, raw_data } = req.body;
+    const { game_type, user_id, raw_data, age_band, cohort, battery_session_id } = req.body;
 
     if (!game_type || !user_id || !raw_data) {
       return res.status(400).json({
@@ -12,33 +18,92 @@ exports.submitGame = async (req, res) => {
       });
     }
 
-    console.log(`\n=== Submitting ${game_type} ===`);
+    if (!gameRegistry.has(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${game_type}`
+      });
+    }
 
-    // Get active scoring configuration
-    const { data: config, error: configError } = await supabase
-      .from('scoring_versions')
-      .select('*')
-      .eq('game_type', game_type)
-      .eq('is_active', true)
-      .single();
+    if (!gameRegistry.supportsFormulaScoring(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `${game_type} is AI-scored. Submit it to /api/ai/submit-game`
+      });
+    }
 
-    if (configError || !config) {
-      return res.status(404).json({
+    // Validate raw_data against the game's input contract
+    const inputValidation = inputValidator.validate(game_type, raw_data, 'raw_data');
+
+    if (!inputValidation.valid) {
+      return res.status(422).json({
         success: false,
-        error: `No active scoring configuration found for ${game_type}`
+        error: `Invalid raw_data for ${game_type}`,
+        details: inputValidation.errors
       });
     }
 
+    console.log(`\n=== Submitting ${game_type} ===`);
+
+    // Get the scoring configuration: pinned by the battery, assigned by a
+    // running experiment, otherwise the active one
+    let config;
+    const experiment = battery_session_id
+      ? null
+      : await experimentService.resolveVersion(game_type, user_id);
+    if (battery_session_id) {
+      const batteryVersion = await batteryService.getSubmissionVersion(battery_session_id, user_id, game_type);
+
+      if (!batteryVersion.valid) {
+        return res.status(batteryVersion.status).json({
+          success: false,
+          error: batteryVersion.error
+        });
+      }
+      config = batteryVersion.version;
+    } else if (experiment) {
+      config = experiment.version;
+    } else {
+      const { data: activeConfig, error: configError } = await supabase
+        .from('scoring_versions')
+        .select('*')
+        .eq('game_type', game_type)
+        .eq('is_active', true)
+        .single();
+
+      if (configError || !activeConfig) {
+        return res.status(404).json({
+          success: false,
+          error: `No active scoring configuration found for ${game_type}`
+        });
+      }
+      config = activeConfig;
+    }
+
     console.log(`Using version: ${config.version_name}`);
     console.log('Formulas:', config.config.competency_formulas);
 
     // Calculate scores using dynamic formulas ⭐ KEY CHANGE
-    const scores = scoringCalculator.calculateScores(
+    const { diagnostics, explanation, ...scores } = scoringCalculator.calculateScores(
       game_type,
       config.config,
       raw_data
     );
 
+    // Strict mode: formula failures either reject the submission or flag the session for review
+    const hasDiagnostics = Array.isArray(diagnostics) && diagnostics.length > 0;
+
+    if (hasDiagnostics && scoringCalculator.getFailureAction(config.config) === 'reject') {
+      return res.status(422).json({
+        success: false,
+        error: 'Scoring formulas failed to evaluate',
+        diagnostics: diagnostics
+      });
+    }
+
+    // Compare against the version's population norms
+    await normsService.annotateScores(config, scores, { age_band, cohort });
+
     // Create test session
     const { data: session, error: sessionError } = await supabase
       .from('test_sessions')
@@ -46,13 +111,27 @@ exports.submitGame = async (req, res) => {
         user_id: user_id,
         game_type: game_type,
         scoring_version_id: config.id,
-        status: 'completed',
+        status: hasDiagnostics ? 'needs_review' : 'completed',
         final_scores: scores,
+        evaluation_diagnostics: hasDiagnostics ? diagnostics : null,
+        score_explanation: explanation,
+        age_band: age_band || null,
+        cohort: cohort || null,
+        battery_session_id: battery_session_id || null,
+        experiment_id: experiment ? experiment.experiment_id : null,
+        experiment_arm: experiment ? experiment.experiment_arm : null,
         completed_at: new Date().toISOString()
       })
       .select()
       .single();
 
+    // Another attempt completed this battery game in the meantime
+    if (sessionError && sessionError.code === '23505' && battery_session_id) {
+      return res.status(409).json({
+        success: false,
+        error: `${game_type} was already submitted in this battery session`
+      });
+    }
     if (sessionError) throw sessionError;
 
     // Store raw data
@@ -65,6 +144,11 @@ exports.submitGame = async (req, res) => {
 
     if (receiptError) throw receiptError;
 
+    // Battery sessions complete (with their composite score) after their last game
+    const battery = battery_session_id
+      ? await batteryService.recordProgress(battery_session_id)
+      : null;
+
     console.log(`✅ Game submitted. Session: ${session.id}`);
 
     res.json({
@@ -73,10 +157,18 @@ exports.submitGame = async (req, res) => {
       data: {
         session_id: session.id,
         version_used: config.version_name,
-        scores: scores
+        status: session.status,
+        scores: scores,
+        diagnostics: hasDiagnostics ? diagnostics : undefined,
+        battery: battery ? { status: battery.status, progress: battery.progress, composite: battery.composite } : undefined,
+        experiment: experiment ? { id: experiment.experiment_id, arm: experiment.experiment_arm } : undefined
       }
     });
 
+    // Score candidate (shadow) versions after responding so they add no latency;
+    // scoreShadows never rejects
+    shadowService.scoreShadows(game_type, session.id, config, raw_data);
+
   } catch (error) {
     console.error('Error submitting game:', error);
     res.status(500).json({
@@ -1,12 +1,15 @@
 const formulaEvaluator = require('../services/formulaEvaluator');
 const scoringCalculator = require('../services/scoringCalculator');
 const variableExtractor = require('../services/variableExtractor');
+const derivedVariables = require('../services/derivedVariables');
+const scorePolicy = require('../services/scorePolicy');
+const formulaAnalyzer = require('../services/formulaAnalyzer');
 const supabase = require('../config/supabase');
 
 // Validate formula
 exports.validateFormula = async (req, res) => {
   try {
-    const { formula, test_variables } = req.body;
+    const { formula, test_variables, game_type, derived_variables, custom_variables } = req.body;
 
     if (!formula) {
       return res.status(400).json({
@@ -40,11 +43,18 @@ exports.validateFormula = async (req, res) => {
 
     const variables = formulaEvaluator.getFormulaVariables(formula);
 
+    let analysis = null;
+    if (game_type) {
+      const context = formulaAnalyzer.buildContext(game_type, { derived_variables, custom_variables });
+      analysis = formulaAnalyzer.analyzeFormula(formula, game_type, context);
+    }
+
     res.json({
       success: true,
-      valid: true,
+      valid: !analysis || analysis.errors.length === 0,
       variables: variables,
-      test_result: testResult
+      test_result: testResult,
+      analysis: analysis
     });
 
   } catch (error) {
@@ -59,7 +69,7 @@ exports.validateFormula = async (req, res) => {
 // Preview scores
 exports.previewScores = async (req, res) => {
   try {
-    const { game_type, formulas, weights, test_variables } = req.body;
+    const { game_type, formulas, weights, test_variables, derived_variables, competency_policies } = req.body;
 
     if (!game_type || !formulas || !weights || !test_variables) {
       return res.status(400).json({
@@ -68,11 +78,21 @@ exports.previewScores = async (req, res) => {
       });
     }
 
+    let variables;
+    try {
+      variables = derivedVariables.applyDerivedVariables(derived_variables, test_variables);
+    } catch (error) {
+      return res.json({
+        success: false,
+        error: error.message
+      });
+    }
+
     const scores = {};
     let totalWeighted = 0;
 
     for (const [name, formula] of Object.entries(formulas)) {
-      const testResponse = formulaEvaluator.testFormula(formula, test_variables);
+      const testResponse = formulaEvaluator.testFormula(formula, variables);
       
       if (!testResponse.success) {
         return res.json({
@@ -81,7 +101,7 @@ exports.previewScores = async (req, res) => {
         });
       }
 
-      const rawScore = Math.max(0, Math.min(100, testResponse.result));
+      const rawScore = scorePolicy.apply(testResponse.result, scorePolicy.getPolicy({ competency_policies }, name)).score;
       const weight = weights[name] || 0;
       const weighted = rawScore * weight;
 
@@ -146,10 +166,11 @@ exports.compareVersions = async (req, res) => {
     for (const version of versions) {
       const scores = {};
       let totalWeighted = 0;
+      const variables = derivedVariables.applyDerivedVariables(version.config.derived_variables, test_data);
 
       for (const [name, formula] of Object.entries(version.config.competency_formulas || {})) {
-        const result = formulaEvaluator.evaluate(formula, test_data);
-        const rawScore = Math.max(0, Math.min(100, result));
+        const result = formulaEvaluator.evaluate(formula, variables);
+        const rawScore = scorePolicy.apply(result, scorePolicy.getPolicy(version.config, name)).score;
         const weight = version.config.final_weights[name] || 0;
         const weighted = rawScore * weight;
 
@@ -209,4 +230,4 @@ exports.getAvailableVariables = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,33 @@
+const { countSchema, textSchema } = require('./shared');
+
+/**
+ * AI Debate
+ * Pro and con arguments for a statement, scored by AI
+ */
+module.exports = {
+  type: 'ai_debate',
+  name: 'AI Debate',
+  scoringMode: 'ai',
+  inputField: 'response_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['debate_statement', 'pros_text', 'cons_text'],
+    properties: {
+      debate_statement: textSchema,
+      pros_text: textSchema,
+      cons_text: textSchema,
+      num_points_pros: countSchema,
+      num_points_cons: countSchema
+    }
+  },
+
+  variables: {},
+
+  buildPrompt(responseData) {
+    let prompt = `DEBATE TOPIC:\n${responseData.debate_statement}\n\n`;
+    prompt += `PROS ARGUMENT:\n${responseData.pros_text}\n\n`;
+    prompt += `CONS ARGUMENT:\n${responseData.cons_text}\n\n`;
+    return prompt;
+  }
+};
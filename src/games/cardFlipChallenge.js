@@ -0,0 +1,118 @@
+const { countSchema, secondsSchema, COUNT, PERCENT, SECONDS } = require('./shared');
+
+/**
+ * Card Flip Challenge
+ * Single summary object for the memory-pairs board
+ */
+module.exports = {
+  type: 'card_flip_challenge',
+  name: 'Card Flip Challenge',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['correct_pairs', 'total_pairs', 'total_flips', 'time_taken'],
+    properties: {
+      correct_pairs: countSchema,
+      total_pairs: { type: 'integer', minimum: 1 },
+      total_flips: countSchema,
+      minimum_flips: countSchema,
+      time_taken: secondsSchema,
+      time_limit: { type: 'number', exclusiveMinimum: 0 },
+      pattern_discovered: { type: 'boolean' }
+    }
+  },
+
+  variables: {
+    correct_pairs: { description: 'Number of correct pairs matched', bounds: COUNT },
+    total_pairs: { description: 'Total pairs in game', bounds: COUNT },
+    total_flips: { description: 'Total number of flips', bounds: COUNT },
+    minimum_flips: { description: 'Minimum flips needed', bounds: COUNT },
+    time_taken: { description: 'Total time taken', bounds: SECONDS },
+    time_limit: { description: 'Time limit', bounds: [1, Infinity] }, // falls back to 60
+    efficiency: { description: 'Efficiency percentage', bounds: PERCENT }
+  },
+
+  extractVariables(variables, rawData, config) {
+    Object.assign(variables, {
+      correct_pairs: rawData.correct_pairs || 0,
+      total_pairs: rawData.total_pairs || 0,
+      total_flips: rawData.total_flips || 0,
+      minimum_flips: rawData.minimum_flips || 0,
+      time_taken: rawData.time_taken || 0,
+      time_limit: rawData.time_limit || 60,
+      efficiency: 0
+    });
+
+    // Calculate efficiency
+    if (variables.minimum_flips > 0) {
+      variables.efficiency = (variables.minimum_flips / variables.total_flips) * 100;
+    }
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+
+    const correctPairs = rawData.correct_pairs || 0;
+    const totalPairs = rawData.total_pairs || 10;
+    const totalFlips = rawData.total_flips || 20;
+    const minFlips = rawData.minimum_flips || totalPairs * 2;
+    const timeTaken = rawData.time_taken || 0;
+    const timeLimit = rawData.time_limit || 60;
+    const patternDiscovered = rawData.pattern_discovered || false;
+
+    // Pattern Recognition
+    const patternRecognition = (correctPairs / totalPairs) * 100;
+
+    // Reasoning
+    const reasoning = ((minFlips / totalFlips) * 100 * 0.5) + (patternRecognition * 0.5);
+
+    // Speed
+    const speed = Math.max(0, ((timeLimit - timeTaken) / timeLimit) * 100);
+
+    // Strategy (bonus for discovering pattern)
+    const strategyScore = patternDiscovered ? 100 : 50;
+
+    const finalScore =
+      (patternRecognition * weights.pattern_recognition) +
+      (reasoning * weights.reasoning) +
+      (strategyScore * weights.strategy) +
+      (speed * weights.speed);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        pattern_recognition: {
+          raw: parseFloat(patternRecognition.toFixed(2)),
+          weighted: parseFloat((patternRecognition * weights.pattern_recognition).toFixed(2)),
+          weight: weights.pattern_recognition
+        },
+        reasoning: {
+          raw: parseFloat(reasoning.toFixed(2)),
+          weighted: parseFloat((reasoning * weights.reasoning).toFixed(2)),
+          weight: weights.reasoning
+        },
+        strategy: {
+          raw: parseFloat(strategyScore.toFixed(2)),
+          weighted: parseFloat((strategyScore * weights.strategy).toFixed(2)),
+          weight: weights.strategy
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        }
+      },
+      raw_stats: {
+        correct_pairs: correctPairs,
+        total_flips: totalFlips,
+        time_taken: timeTaken,
+        pattern_discovered: patternDiscovered
+      }
+    };
+  }
+};
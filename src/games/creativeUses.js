@@ -0,0 +1,31 @@
+const { secondsSchema, textSchema } = require('./shared');
+
+/**
+ * Creative Uses
+ * Alternative uses listed for an everyday object, scored by AI
+ */
+module.exports = {
+  type: 'creative_uses',
+  name: 'Creative Uses',
+  scoringMode: 'ai',
+  inputField: 'response_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['object_name', 'uses'],
+    properties: {
+      object_name: textSchema,
+      uses: { type: 'array', items: { type: 'string' } },
+      time_taken: secondsSchema,
+      time_limit: { type: 'number', exclusiveMinimum: 0 }
+    }
+  },
+
+  variables: {},
+
+  buildPrompt(responseData) {
+    let prompt = `OBJECT: ${responseData.object_name}\n\n`;
+    prompt += `USES PROVIDED:\n${responseData.uses.join('\n')}\n\n`;
+    return prompt;
+  }
+};
@@ -0,0 +1,145 @@
+const statistics = require('../services/statistics');
+const { trialItemSchema, COUNT, UNBOUNDED } = require('./shared');
+
+/**
+ * Face-Name Match
+ * Array of learning and recall trials; is_new_face marks faces not shown while learning
+ */
+module.exports = {
+  type: 'face_name_match',
+  name: 'Face-Name Match',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'array',
+    minItems: 1,
+    items: trialItemSchema({
+      face_id: { type: 'string' },
+      presented_name: { type: 'string' },
+      user_response: { type: 'string' },
+      phase: { type: 'string', enum: ['learning', 'recall'] },
+      is_new_face: { type: 'boolean' }
+    }, ['phase'])
+  },
+
+  variables: {
+    learning_phase_items: { description: 'Items in learning phase', bounds: COUNT },
+    recall_phase_items: { description: 'Items in recall phase', bounds: COUNT },
+    new_face_items: { description: 'Number of new faces', bounds: COUNT },
+    new_face_correct: { description: 'Correct new face identifications', bounds: COUNT },
+    learned_face_items: { description: 'Number of learned faces', bounds: COUNT },
+    learned_face_correct: { description: 'Correct learned face identifications', bounds: COUNT },
+    hit_rate: { description: 'Share of learned faces recognized (0-1, recall phase)', bounds: [0, 1] },
+    false_alarm_rate: { description: 'Share of new faces wrongly answered as seen before (0-1, recall phase)', bounds: [0, 1] },
+    d_prime: { description: 'Sensitivity d\' = z(hit rate) - z(false alarm rate), log-linear corrected', bounds: UNBOUNDED },
+    criterion: { description: 'Response bias c = -(z(hit rate) + z(false alarm rate)) / 2 (negative = leans to "seen before")', bounds: UNBOUNDED },
+    a_prime: { description: 'Non-parametric sensitivity A\' (0.5 = chance, 1 = perfect)', bounds: [0, 1] }
+  },
+
+  extractVariables(variables, rawData, config) {
+    if (!Array.isArray(rawData)) return;
+
+    variables.learning_phase_items = rawData.filter(item => item.phase === 'learning').length;
+    variables.recall_phase_items = rawData.filter(item => item.phase === 'recall').length;
+    variables.new_face_items = rawData.filter(item => item.is_new_face).length;
+    variables.new_face_correct = rawData.filter(item => item.is_new_face && item.is_correct).length;
+    variables.learned_face_items = rawData.filter(item => !item.is_new_face).length;
+    variables.learned_face_correct = rawData.filter(item => !item.is_new_face && item.is_correct).length;
+
+    this.extractSignalDetectionVariables(variables, rawData);
+  },
+
+  /**
+   * Extract signal-detection metrics for face recognition
+   * Learned faces are signal trials (a correct answer is a hit), new faces
+   * are noise trials (an incorrect answer is a false alarm). Only recall-phase
+   * trials are used when the data has them.
+   */
+  extractSignalDetectionVariables(variables, rawData) {
+    const recall = rawData.filter(item => item.phase === 'recall');
+    const trials = recall.length > 0 ? recall : rawData;
+
+    const signal = trials.filter(item => !item.is_new_face);
+    const noise = trials.filter(item => item.is_new_face);
+    const hits = signal.filter(item => item.is_correct).length;
+    const falseAlarms = noise.filter(item => !item.is_correct).length;
+
+    const hitRate = signal.length > 0 ? hits / signal.length : 0;
+    const falseAlarmRate = noise.length > 0 ? falseAlarms / noise.length : 0;
+    variables.hit_rate = hitRate;
+    variables.false_alarm_rate = falseAlarmRate;
+
+    // Log-linear correction (Hautus, 1995) keeps z finite for rates of 0 or 1
+    const zHit = statistics.normalQuantile((hits + 0.5) / (signal.length + 1));
+    const zFalseAlarm = statistics.normalQuantile((falseAlarms + 0.5) / (noise.length + 1));
+    variables.d_prime = zHit - zFalseAlarm;
+    variables.criterion = -(zHit + zFalseAlarm) / 2;
+
+    // A' (non-parametric sensitivity) from the uncorrected rates
+    const difference = hitRate - falseAlarmRate;
+    if (difference === 0) {
+      variables.a_prime = 0.5;
+    } else {
+      const denominator = difference > 0
+        ? 4 * hitRate * (1 - falseAlarmRate)
+        : 4 * falseAlarmRate * (1 - hitRate);
+      variables.a_prime = denominator > 0
+        ? 0.5 + Math.sign(difference) * ((difference * difference + Math.abs(difference)) / denominator)
+        : (difference > 0 ? 1 : 0);
+    }
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+
+    // Accuracy
+    const correct = rawData.filter(q => q.is_correct).length;
+    const accuracy = (correct / rawData.length) * 100;
+
+    // Speed
+    const avgTime = rawData.reduce((sum, q) => sum + q.time_taken, 0) / rawData.length;
+    const maxTime = 10;
+    const speed = Math.max(0, 100 * (1 - (avgTime / maxTime)));
+
+    // Retention (for recall phase)
+    const retention = accuracy; // Simplified for now
+
+    // Memory (composite)
+    const memory = (retention * 0.4) + (accuracy * 0.3) + (speed * 0.3);
+
+    const finalScore =
+      (memory * weights.memory) +
+      (accuracy * weights.accuracy) +
+      (speed * weights.speed);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        memory: {
+          raw: parseFloat(memory.toFixed(2)),
+          weighted: parseFloat((memory * weights.memory).toFixed(2)),
+          weight: weights.memory
+        },
+        accuracy: {
+          raw: parseFloat(accuracy.toFixed(2)),
+          weighted: parseFloat((accuracy * weights.accuracy).toFixed(2)),
+          weight: weights.accuracy
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        }
+      },
+      raw_stats: {
+        total_attempts: rawData.length,
+        correct_matches: correct,
+        avg_time_per_response: parseFloat(avgTime.toFixed(2))
+      }
+    };
+  }
+};
@@ -0,0 +1,141 @@
+const { countSchema, COUNT, UNBOUNDED } = require('./shared');
+
+/**
+ * Lucky Flip
+ * Hybrid game: drive is calculated from the summary, risk_appetite and
+ * reasoning are AI-scored from the decision history
+ */
+module.exports = {
+  type: 'lucky_flip',
+  name: 'Lucky Flip',
+  scoringMode: 'hybrid',
+  inputField: 'raw_data',
+  aiCompetencies: ['risk_appetite', 'reasoning'],
+
+  inputSchema: {
+    type: 'object',
+    required: ['rounds_completed', 'total_rounds', 'times_went_bust'],
+    properties: {
+      rounds_completed: countSchema,
+      total_rounds: { type: 'integer', minimum: 1 },
+      times_went_bust: countSchema,
+      voluntary_stops_at_optimal_points: countSchema,
+      final_credits: { type: 'number' },
+      starting_credits: { type: 'number' },
+      decision_history: { type: 'array' }
+    }
+  },
+
+  variables: {
+    rounds_completed: { description: 'Rounds finished', bounds: COUNT },
+    total_rounds: { description: 'Total rounds available', bounds: [1, Infinity] }, // falls back to 10
+    times_went_bust: { description: 'Number of busts', bounds: COUNT },
+    voluntary_stops_at_optimal_points: { description: 'Voluntary stops at optimal points', bounds: COUNT },
+    final_credits: { description: 'Credits at the end', bounds: UNBOUNDED },
+    starting_credits: { description: 'Credits at the start', bounds: UNBOUNDED },
+    decisions_made: { description: 'Number of decisions in decision_history', bounds: COUNT },
+    profit_loss: { description: 'Final minus starting credits', bounds: UNBOUNDED },
+    credit_growth_percent: { description: 'Profit/loss as a percentage of starting credits', bounds: UNBOUNDED },
+    completion_percent: { description: 'Rounds completed as a percentage of total rounds', bounds: [0, Infinity] },
+    bust_rate: { description: 'Busts as a percentage of rounds completed', bounds: [0, Infinity] }
+  },
+
+  extractVariables(variables, rawData, config) {
+    Object.assign(variables, {
+      rounds_completed: rawData.rounds_completed || 0,
+      total_rounds: rawData.total_rounds || 10,
+      times_went_bust: rawData.times_went_bust || 0,
+      voluntary_stops_at_optimal_points: rawData.voluntary_stops_at_optimal_points || 0,
+      final_credits: rawData.final_credits || 0,
+      starting_credits: rawData.starting_credits || 100,
+      decisions_made: Array.isArray(rawData.decision_history) ? rawData.decision_history.length : 0
+    });
+
+    variables.profit_loss = variables.final_credits - variables.starting_credits;
+    variables.credit_growth_percent = (variables.profit_loss / variables.starting_credits) * 100;
+    variables.completion_percent = (variables.rounds_completed / variables.total_rounds) * 100;
+    variables.bust_rate = variables.rounds_completed > 0
+      ? (variables.times_went_bust / variables.rounds_completed) * 100
+      : 0;
+  },
+
+  /**
+   * Describe the play-through for the AI evaluator
+   */
+  buildPrompt(responseData) {
+    const history = Array.isArray(responseData.decision_history) ? responseData.decision_history : [];
+
+    let prompt = `GAME SUMMARY:\n`;
+    prompt += `Rounds completed: ${responseData.rounds_completed || 0} of ${responseData.total_rounds || 10}\n`;
+    prompt += `Times went bust: ${responseData.times_went_bust || 0}\n`;
+    prompt += `Voluntary stops at optimal points: ${responseData.voluntary_stops_at_optimal_points || 0}\n`;
+    prompt += `Credits: ${responseData.starting_credits || 100} -> ${responseData.final_credits || 0}\n\n`;
+    prompt += `DECISION HISTORY:\n${history.map(decision => JSON.stringify(decision)).join('\n') || '(none)'}\n\n`;
+    return prompt;
+  },
+
+  /**
+   * Hardcoded calculator
+   * @param {object} aiScores - { risk_appetite, reasoning } from the AI service (optional)
+   */
+  calculate(rawData, config, aiScores = null) {
+    const weights = config.final_weights;
+    const penalties = config.penalties || {};
+    const bonuses = config.bonuses || {};
+
+    const roundsCompleted = rawData.rounds_completed || 0;
+    const totalRounds = rawData.total_rounds || 10;
+    const timesWentBust = rawData.times_went_bust || 0;
+    const voluntaryStops = rawData.voluntary_stops_at_optimal_points || 0;
+    const finalCredits = rawData.final_credits || 0;
+    const startingCredits = rawData.starting_credits || 100;
+
+    // Drive (calculated, not AI)
+    const drive = Math.max(0,
+      ((roundsCompleted / totalRounds) * 100) -
+      (timesWentBust * (penalties.bust_penalty || 10)) +
+      (voluntaryStops * (bonuses.optimal_stop_bonus || 5))
+    );
+
+    // Risk Appetite & Reasoning are AI-scored (see buildPrompt)
+    // Without AI scores they fall back to a neutral placeholder
+    const scoredByAI = !!aiScores;
+    const riskAppetite = scoredByAI ? (aiScores.risk_appetite || 0) : 50;
+    const reasoning = scoredByAI ? (aiScores.reasoning || 0) : 50;
+
+    const finalScore =
+      (riskAppetite * weights.risk_appetite) +
+      (drive * weights.drive) +
+      (reasoning * weights.reasoning);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        risk_appetite: {
+          raw: parseFloat(riskAppetite.toFixed(2)),
+          weighted: parseFloat((riskAppetite * weights.risk_appetite).toFixed(2)),
+          weight: weights.risk_appetite,
+          ...(scoredByAI ? { scored_by_ai: true } : { requires_ai: true })
+        },
+        drive: {
+          raw: parseFloat(drive.toFixed(2)),
+          weighted: parseFloat((drive * weights.drive).toFixed(2)),
+          weight: weights.drive
+        },
+        reasoning: {
+          raw: parseFloat(reasoning.toFixed(2)),
+          weighted: parseFloat((reasoning * weights.reasoning).toFixed(2)),
+          weight: weights.reasoning,
+          ...(scoredByAI ? { scored_by_ai: true } : { requires_ai: true })
+        }
+      },
+      raw_stats: {
+        rounds_completed: roundsCompleted,
+        times_went_bust: timesWentBust,
+        final_credits: finalCredits,
+        profit_loss: finalCredits - startingCredits,
+        ai_evaluated: scoredByAI
+      }
+    };
+  }
+};
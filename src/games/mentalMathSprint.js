@@ -0,0 +1,106 @@
+const statistics = require('../services/statistics');
+const { trialItemSchema } = require('./shared');
+
+/**
+ * Mental Math Sprint
+ * Array of timed arithmetic problems; the common array-based variables cover it
+ */
+module.exports = {
+  type: 'mental_math_sprint',
+  name: 'Mental Math Sprint',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'array',
+    minItems: 1,
+    items: trialItemSchema({
+      problem: { type: 'string' },
+      user_answer: { type: 'number' },
+      correct_answer: { type: 'number' }
+    })
+  },
+
+  variables: {},
+
+  extractVariables(variables, rawData, config) {
+    // All common variables are sufficient
+    // Add any mental math specific calculations here if needed
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+    const settings = config.settings;
+
+    // Calculate raw competency scores
+    let accuracy;
+    if (settings.accuracy_mode === 'binary') {
+      // Binary: 100 or 0
+      const correct = rawData.filter(q => q.is_correct).length;
+      accuracy = (correct / rawData.length) * 100;
+    } else {
+      // Graded: based on error percentage
+      const avgError = rawData.reduce((sum, q) => {
+        const error = Math.abs(q.user_answer - q.correct_answer);
+        return sum + (error / q.correct_answer);
+      }, 0) / rawData.length;
+      accuracy = Math.max(0, 100 - (avgError * 100));
+    }
+
+    // Speed
+    const totalTime = rawData.reduce((sum, q) => sum + q.time_taken, 0);
+    const avgTime = totalTime / rawData.length;
+    const timeLimit = settings.time_limit || 5;
+    const speed = Math.max(0, ((timeLimit - avgTime) / timeLimit) * 100);
+
+    // Quantitative Aptitude
+    const quantitativeAptitude = (accuracy * 0.7) + (speed * 0.3);
+
+    // Mental Stamina (consistency)
+    const speeds = rawData.map(q => q.time_taken);
+    const stdDev = statistics.stdDev(speeds);
+    const mentalStamina = (speed * 0.5) + Math.max(0, 100 - stdDev * 10);
+
+    // Calculate weighted final score
+    const finalScore =
+      (accuracy * weights.accuracy) +
+      (speed * weights.speed) +
+      (quantitativeAptitude * weights.quantitative_aptitude) +
+      (mentalStamina * weights.mental_stamina);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        accuracy: {
+          raw: parseFloat(accuracy.toFixed(2)),
+          weighted: parseFloat((accuracy * weights.accuracy).toFixed(2)),
+          weight: weights.accuracy
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        },
+        quantitative_aptitude: {
+          raw: parseFloat(quantitativeAptitude.toFixed(2)),
+          weighted: parseFloat((quantitativeAptitude * weights.quantitative_aptitude).toFixed(2)),
+          weight: weights.quantitative_aptitude
+        },
+        mental_stamina: {
+          raw: parseFloat(mentalStamina.toFixed(2)),
+          weighted: parseFloat((mentalStamina * weights.mental_stamina).toFixed(2)),
+          weight: weights.mental_stamina
+        }
+      },
+      raw_stats: {
+        total_questions: rawData.length,
+        correct_answers: rawData.filter(q => q.is_correct).length,
+        total_time: parseFloat(totalTime.toFixed(2)),
+        avg_time_per_question: parseFloat(avgTime.toFixed(2))
+      }
+    };
+  }
+};
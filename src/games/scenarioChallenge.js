@@ -0,0 +1,32 @@
+const { countSchema, textSchema } = require('./shared');
+
+/**
+ * Scenario Challenge
+ * Free-text answer to a workplace scenario, scored by AI
+ */
+module.exports = {
+  type: 'scenario_challenge',
+  name: 'Scenario Challenge',
+  scoringMode: 'ai',
+  inputField: 'response_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['scenario_text', 'question_text', 'response_text'],
+    properties: {
+      scenario_text: textSchema,
+      question_text: textSchema,
+      response_text: textSchema,
+      response_length: countSchema
+    }
+  },
+
+  variables: {},
+
+  buildPrompt(responseData) {
+    let prompt = `SCENARIO:\n${responseData.scenario_text}\n\n`;
+    prompt += `QUESTION:\n${responseData.question_text}\n\n`;
+    prompt += `USER'S RESPONSE:\n${responseData.response_text}\n\n`;
+    return prompt;
+  }
+};
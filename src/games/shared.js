@@ -0,0 +1,46 @@
+/**
+ * Building blocks shared by the game definitions
+ * (input schema fragments and variable bounds)
+ */
+
+// Input schema fragments
+const countSchema = { type: 'integer', minimum: 0 };
+const secondsSchema = { type: 'number', minimum: 0 };
+const textSchema = { type: 'string', minLength: 1 };
+
+/**
+ * Schema for one trial of an array-based game
+ */
+const trialItemSchema = (properties, required = []) => ({
+  type: 'object',
+  required: ['is_correct', 'time_taken', ...required],
+  properties: {
+    is_correct: { type: 'boolean' },
+    time_taken: { type: 'number', minimum: 0 },
+    ...properties
+  }
+});
+
+// Variable bounds ([min, max]) used by static formula analysis
+const COUNT = [0, Infinity];
+const PERCENT = [0, 100];
+const SECONDS = [0, Infinity];
+const UNBOUNDED = [-Infinity, Infinity];
+
+/**
+ * Schema for an input field that is also a variable with finite bounds,
+ * so input validation and formula analysis use the same range
+ */
+const boundedSchema = ([min, max]) => ({ type: 'number', minimum: min, maximum: max });
+
+module.exports = {
+  countSchema,
+  secondsSchema,
+  textSchema,
+  trialItemSchema,
+  boundedSchema,
+  COUNT,
+  PERCENT,
+  SECONDS,
+  UNBOUNDED
+};
@@ -0,0 +1,186 @@
+const { countSchema, secondsSchema, boundedSchema, COUNT, PERCENT, SECONDS } = require('./shared');
+
+const DIFFICULTY_MULTIPLIER = [1, 2];
+
+/**
+ * Sign Sudoku
+ * Single summary object for the whole puzzle
+ */
+module.exports = {
+  type: 'sign_sudoku',
+  name: 'Sign Sudoku',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['correct_entries', 'incorrect_entries'],
+    anyOf: [
+      { required: ['total_empty_cells'] },
+      { required: ['grid_size'] }
+    ],
+    properties: {
+      correct_entries: countSchema,
+      incorrect_entries: countSchema,
+      total_empty_cells: countSchema,
+      time_left_sec: secondsSchema,
+      total_time_allowed: secondsSchema,
+      total_attempts: countSchema,
+      avg_time_per_correct_entry: secondsSchema,
+      completion_status: { type: 'string', enum: ['completed', 'partial'] },
+      grid_size: { type: 'integer', minimum: 1 },
+      difficulty_multiplier: boundedSchema(DIFFICULTY_MULTIPLIER),
+      correct_first_attempts: countSchema
+    }
+  },
+
+  variables: {
+    correct_entries: { description: 'Number of correct entries', bounds: COUNT },
+    incorrect_entries: { description: 'Number of incorrect entries', bounds: COUNT },
+    total_empty_cells: { description: 'Total empty cells to fill', bounds: COUNT },
+    time_left_sec: { description: 'Time remaining in seconds', bounds: SECONDS },
+    total_time_allowed: { description: 'Total time allowed', bounds: [1, Infinity] }, // falls back to 60
+    total_attempts: { description: 'Total number of attempts', bounds: COUNT },
+    avg_time_per_correct_entry: { description: 'Average time per correct entry', bounds: SECONDS },
+    difficulty_multiplier: { description: 'Difficulty multiplier (1.0, 1.5, 2.0)', bounds: DIFFICULTY_MULTIPLIER },
+    correct_first_attempts: { description: 'Correct on first try', bounds: COUNT },
+    completion_percent: { description: 'Completion percentage', bounds: PERCENT },
+    accuracy_percent: { description: 'Accuracy percentage', bounds: PERCENT }
+  },
+
+  extractVariables(variables, rawData, config) {
+    // For sudoku, rawData is an object
+    Object.assign(variables, {
+      correct_entries: rawData.correct_entries || 0,
+      incorrect_entries: rawData.incorrect_entries || 0,
+      total_empty_cells: rawData.total_empty_cells || 0,
+      time_left_sec: rawData.time_left_sec || 0,
+      total_time_allowed: rawData.total_time_allowed || 60,
+      total_attempts: rawData.total_attempts || 0,
+      avg_time_per_correct_entry: rawData.avg_time_per_correct_entry || 0,
+      difficulty_multiplier: rawData.difficulty_multiplier || 1.0,
+      correct_first_attempts: rawData.correct_first_attempts || 0
+    });
+
+    // Calculate derived variables
+    const safeTotal = Math.max(0, variables.total_empty_cells);
+    if (safeTotal > 0) {
+      const completion = (variables.correct_entries / safeTotal) * 100;
+      const accuracy = ((variables.correct_entries - variables.incorrect_entries) / safeTotal) * 100;
+      // Clamp to [0,100] to avoid negative or >100 values
+      variables.completion_percent = Math.max(0, Math.min(100, completion));
+      variables.accuracy_percent = Math.max(0, Math.min(100, accuracy));
+    } else {
+      variables.completion_percent = 0;
+      variables.accuracy_percent = 0;
+    }
+
+    // If total_attempts not provided, infer from entries
+    if (!variables.total_attempts) {
+      const inferred = variables.correct_entries + variables.incorrect_entries;
+      variables.total_attempts = inferred;
+    }
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+    const penalties = config.penalties || {};
+
+    const correctEntries = rawData.correct_entries || 0;
+    const incorrectEntries = rawData.incorrect_entries || 0;
+    // Prefer explicit total_empty_cells, fall back to grid_size (grid_size^2) or 0
+    const totalEmpty = (typeof rawData.total_empty_cells === 'number' && rawData.total_empty_cells > 0)
+      ? rawData.total_empty_cells
+      : (rawData.grid_size ? (rawData.grid_size * rawData.grid_size) : 0);
+    const timeLeft = rawData.time_left_sec || 0;
+    const totalTime = rawData.total_time_allowed || 60;
+    const avgTimePerCorrect = rawData.avg_time_per_correct_entry || 0;
+    const difficultyMultiplier = rawData.difficulty_multiplier || 1;
+
+
+    // Defensive guards
+    const safeTotalEmpty = Math.max(0, totalEmpty);
+    const totalAttempts = (rawData.total_attempts || (correctEntries + incorrectEntries));
+
+    // Completion percentage (prefer any precomputed value)
+    const completionPercent = (typeof rawData.completion_percent === 'number')
+      ? rawData.completion_percent
+      : (safeTotalEmpty > 0 ? (correctEntries / safeTotalEmpty) * 100 : 0);
+
+    // Accuracy: prefer provided accuracy_percent; otherwise compute and apply per-incorrect penalties (points)
+    const baseAccuracy = (typeof rawData.accuracy_percent === 'number')
+      ? rawData.accuracy_percent
+      : (safeTotalEmpty > 0 ? ((correctEntries / safeTotalEmpty) * 100) : 0);
+
+    const incorrectPenaltyPoints = penalties.incorrect_penalty_points ?? penalties.incorrect_penalty ?? 3; // keep backward compatibility
+    const accuracy = Math.max(0, baseAccuracy - (incorrectEntries * incorrectPenaltyPoints));
+
+    // Reasoning: proportion of correct over attempts, scaled by difficulty
+    const reasoning = (totalAttempts > 0)
+      ? ((correctEntries / totalAttempts) * 100) * difficultyMultiplier
+      : completionPercent * difficultyMultiplier;
+
+    // Speed: combine time-left and average entry speed into 0-100
+    // timeLeftPercent: how much time remained as percentage
+    const timeLeftPercent = totalTime > 0 ? (timeLeft / totalTime) * 100 : 0;
+    // avgTimeBaseline: expected average time per entry if user used the whole time
+    const avgTimeBaseline = safeTotalEmpty > 0 ? (totalTime / safeTotalEmpty) : totalTime || 1;
+    // avgTimePenalty: higher avgTimePerCorrect increases penalty (0-100)
+    const avgTimePenalty = avgTimePerCorrect > 0 ? Math.min(100, (avgTimePerCorrect / avgTimeBaseline) * 100) : 0;
+    // speed is better when time left is high and avg time per correct is low
+    const speed = Math.max(0, Math.min(100, (timeLeftPercent * 0.6) + ((100 - avgTimePenalty) * 0.4)));
+
+    // Math competency ~ completion percent
+    const math = completionPercent;
+
+    // Attention to Detail: mix of accuracy and first-attempt correctness
+    const correctFirstAttemptsPercent = safeTotalEmpty > 0 ? ((rawData.correct_first_attempts || 0) / safeTotalEmpty) * 100 : 0;
+    const attentionToDetail = (accuracy * 0.6) + (correctFirstAttemptsPercent * 0.4);
+
+    const finalScore =
+      (accuracy * weights.accuracy) +
+      (reasoning * weights.reasoning) +
+      (attentionToDetail * weights.attention_to_detail) +
+      (speed * weights.speed) +
+      (math * weights.math);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        accuracy: {
+          raw: parseFloat(accuracy.toFixed(2)),
+          weighted: parseFloat((accuracy * weights.accuracy).toFixed(2)),
+          weight: weights.accuracy
+        },
+        reasoning: {
+          raw: parseFloat(reasoning.toFixed(2)),
+          weighted: parseFloat((reasoning * weights.reasoning).toFixed(2)),
+          weight: weights.reasoning
+        },
+        attention_to_detail: {
+          raw: parseFloat(attentionToDetail.toFixed(2)),
+          weighted: parseFloat((attentionToDetail * weights.attention_to_detail).toFixed(2)),
+          weight: weights.attention_to_detail
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        },
+        math: {
+          raw: parseFloat(math.toFixed(2)),
+          weighted: parseFloat((math * weights.math).toFixed(2)),
+          weight: weights.math
+        }
+      },
+      raw_stats: {
+        correct_entries: correctEntries,
+        incorrect_entries: incorrectEntries,
+        time_left: timeLeft
+      }
+    };
+  }
+};
@@ -0,0 +1,30 @@
+const { countSchema, textSchema } = require('./shared');
+
+/**
+ * Statement Reasoning
+ * Explanation of a set of statements, scored by AI
+ */
+module.exports = {
+  type: 'statement_reasoning',
+  name: 'Statement Reasoning',
+  scoringMode: 'ai',
+  inputField: 'response_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['statements', 'response_text'],
+    properties: {
+      statements: { type: 'array', minItems: 1, items: textSchema },
+      response_text: textSchema,
+      response_length: countSchema
+    }
+  },
+
+  variables: {},
+
+  buildPrompt(responseData) {
+    let prompt = `STATEMENTS:\n${responseData.statements.join('\n')}\n\n`;
+    prompt += `USER'S EXPLANATION:\n${responseData.response_text}\n\n`;
+    return prompt;
+  }
+};
@@ -0,0 +1,162 @@
+const statistics = require('../services/statistics');
+const { trialItemSchema, COUNT, PERCENT, SECONDS, UNBOUNDED } = require('./shared');
+
+/**
+ * Compare congruent and incongruent (is_interference) Stroop trials
+ * Response times use correct trials only (all trials when none are correct)
+ */
+function computeInterferenceCost(rawData) {
+  const congruent = rawData.filter(item => !item.is_interference);
+  const incongruent = rawData.filter(item => item.is_interference);
+
+  const accuracyOf = items => (items.length > 0
+    ? (items.filter(item => item.is_correct).length / items.length) * 100
+    : 0);
+  const timesOf = items => {
+    const correct = items.filter(item => item.is_correct);
+    return (correct.length > 0 ? correct : items).map(item => item.time_taken || 0);
+  };
+
+  const congruentTimes = timesOf(congruent);
+  const incongruentTimes = timesOf(incongruent);
+  const congruentMean = statistics.mean(congruentTimes);
+  const incongruentMean = statistics.mean(incongruentTimes);
+  const hasBoth = congruent.length > 0 && incongruent.length > 0;
+
+  return {
+    congruent_mean_time: congruentMean,
+    incongruent_mean_time: incongruentMean,
+    congruent_median_time: statistics.median(congruentTimes),
+    incongruent_median_time: statistics.median(incongruentTimes),
+    congruent_accuracy: accuracyOf(congruent),
+    incongruent_accuracy: accuracyOf(incongruent),
+    interference_cost: hasBoth ? incongruentMean - congruentMean : 0,
+    interference_ratio: hasBoth && congruentMean > 0 ? incongruentMean / congruentMean : 1
+  };
+}
+
+/**
+ * Stroop Test
+ * Array of color-word trials; is_interference marks incongruent items
+ */
+module.exports = {
+  type: 'stroop_test',
+  name: 'Stroop Test',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'array',
+    minItems: 1,
+    items: trialItemSchema({
+      word: { type: 'string' },
+      color: { type: 'string' },
+      user_response: { type: 'string' },
+      is_interference: { type: 'boolean' }
+    }, ['is_interference'])
+  },
+
+  variables: {
+    interference_items: { description: 'Number of interference items', bounds: COUNT },
+    interference_correct: { description: 'Correct interference answers', bounds: COUNT },
+    interference_errors: { description: 'Incorrect interference answers', bounds: COUNT },
+    interference_accuracy: { description: 'Interference accuracy percentage', bounds: PERCENT },
+    congruent_mean_time: { description: 'Mean response time on congruent trials (correct trials)', bounds: SECONDS },
+    incongruent_mean_time: { description: 'Mean response time on incongruent trials (correct trials)', bounds: SECONDS },
+    congruent_median_time: { description: 'Median response time on congruent trials (correct trials)', bounds: SECONDS },
+    incongruent_median_time: { description: 'Median response time on incongruent trials (correct trials)', bounds: SECONDS },
+    congruent_accuracy: { description: 'Accuracy percentage on congruent trials', bounds: PERCENT },
+    incongruent_accuracy: { description: 'Accuracy percentage on incongruent trials', bounds: PERCENT },
+    interference_cost: { description: 'Incongruent minus congruent mean response time (seconds)', bounds: UNBOUNDED },
+    interference_ratio: { description: 'Incongruent / congruent mean response time (1 = no interference)', bounds: [0, Infinity] }
+  },
+
+  extractVariables(variables, rawData, config) {
+    if (!Array.isArray(rawData)) return;
+
+    variables.interference_items = rawData.filter(item => item.is_interference).length;
+    variables.interference_correct = rawData.filter(
+      item => item.is_interference && item.is_correct
+    ).length;
+    variables.interference_errors = variables.interference_items - variables.interference_correct;
+    variables.interference_accuracy = variables.interference_items > 0
+      ? (variables.interference_correct / variables.interference_items) * 100
+      : 0;
+
+    Object.assign(variables, computeInterferenceCost(rawData));
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+    const settings = config.settings || {};
+
+    // Accuracy
+    const correct = rawData.filter(q => q.is_correct).length;
+    const accuracy = (correct / rawData.length) * 100;
+
+    // Speed
+    const avgTime = rawData.reduce((sum, q) => sum + q.time_taken, 0) / rawData.length;
+    const maxTime = 5; // max allowed per item
+    const speed = Math.max(0, 100 - ((avgTime / maxTime) * 40));
+
+    // Cognitive Agility
+    const cognitiveAgility = (accuracy * 0.6) + (speed * 0.4);
+
+    // Cognitive Flexibility (based on interference)
+    const interferenceScore = rawData.filter(q => q.is_interference && !q.is_correct).length;
+    const interferenceErrorScore = Math.max(0, 100 - (interferenceScore * 5));
+    const interference = computeInterferenceCost(rawData);
+
+    let cognitiveFlexibility = interferenceErrorScore;
+    if (settings.flexibility_mode === 'rt_cost') {
+      // Blend in the reaction-time cost: every 1% slowdown on incongruent trials costs 1 point
+      const slowdownPercent = Math.max(0, interference.interference_ratio - 1) * 100;
+      const rtCostScore = Math.max(0, 100 - slowdownPercent);
+      cognitiveFlexibility = (interferenceErrorScore * 0.5) + (rtCostScore * 0.5);
+    }
+
+    const finalScore =
+      (cognitiveFlexibility * weights.cognitive_flexibility) +
+      (cognitiveAgility * weights.cognitive_agility) +
+      (accuracy * weights.accuracy) +
+      (speed * weights.speed);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        cognitive_flexibility: {
+          raw: parseFloat(cognitiveFlexibility.toFixed(2)),
+          weighted: parseFloat((cognitiveFlexibility * weights.cognitive_flexibility).toFixed(2)),
+          weight: weights.cognitive_flexibility
+        },
+        cognitive_agility: {
+          raw: parseFloat(cognitiveAgility.toFixed(2)),
+          weighted: parseFloat((cognitiveAgility * weights.cognitive_agility).toFixed(2)),
+          weight: weights.cognitive_agility
+        },
+        accuracy: {
+          raw: parseFloat(accuracy.toFixed(2)),
+          weighted: parseFloat((accuracy * weights.accuracy).toFixed(2)),
+          weight: weights.accuracy
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        }
+      },
+      raw_stats: {
+        total_items: rawData.length,
+        correct_responses: correct,
+        avg_response_time: parseFloat(avgTime.toFixed(2)),
+        congruent_mean_time: parseFloat(interference.congruent_mean_time.toFixed(3)),
+        incongruent_mean_time: parseFloat(interference.incongruent_mean_time.toFixed(3)),
+        interference_cost: parseFloat(interference.interference_cost.toFixed(3)),
+        interference_ratio: parseFloat(interference.interference_ratio.toFixed(3))
+      }
+    };
+  }
+};
@@ -0,0 +1,95 @@
+const { countSchema, secondsSchema, COUNT, PERCENT, SECONDS } = require('./shared');
+
+/**
+ * Vocab Challenge
+ * Single summary object of the words entered
+ */
+module.exports = {
+  type: 'vocab_challenge',
+  name: 'Vocab Challenge',
+  scoringMode: 'formula',
+  inputField: 'raw_data',
+
+  inputSchema: {
+    type: 'object',
+    required: ['unique_valid_words', 'total_words_entered', 'time_taken'],
+    properties: {
+      unique_valid_words: countSchema,
+      total_words_entered: countSchema,
+      time_taken: secondsSchema,
+      time_limit: { type: 'number', exclusiveMinimum: 0 }
+    }
+  },
+
+  variables: {
+    unique_valid_words: { description: 'Valid unique words entered', bounds: COUNT },
+    total_words_entered: { description: 'Total words entered (including duplicates/invalid)', bounds: COUNT },
+    time_taken: { description: 'Time taken in seconds', bounds: SECONDS },
+    time_limit: { description: 'Time allowed in seconds', bounds: [1, Infinity] }, // falls back to 60
+    invalid_words: { description: 'Duplicate or invalid words entered', bounds: COUNT },
+    valid_word_percent: { description: 'Valid unique words as a percentage of words entered', bounds: PERCENT },
+    words_per_minute: { description: 'Valid unique words per minute', bounds: [0, Infinity] },
+    time_used_percent: { description: 'Time taken as a percentage of the time limit', bounds: PERCENT }
+  },
+
+  extractVariables(variables, rawData, config) {
+    Object.assign(variables, {
+      unique_valid_words: rawData.unique_valid_words || 0,
+      total_words_entered: rawData.total_words_entered || 0,
+      time_taken: rawData.time_taken || 0,
+      time_limit: rawData.time_limit || 60
+    });
+
+    variables.invalid_words = Math.max(0, variables.total_words_entered - variables.unique_valid_words);
+    variables.valid_word_percent = variables.total_words_entered > 0
+      ? (variables.unique_valid_words / variables.total_words_entered) * 100
+      : 0;
+    variables.words_per_minute = variables.time_taken > 0
+      ? (variables.unique_valid_words / variables.time_taken) * 60
+      : 0;
+    variables.time_used_percent = Math.min(100, (variables.time_taken / variables.time_limit) * 100);
+  },
+
+  /**
+   * Hardcoded calculator
+   */
+  calculate(rawData, config) {
+    const weights = config.final_weights;
+
+    const validWords = rawData.unique_valid_words || 0;
+    const totalWords = rawData.total_words_entered || 1;
+    const timeTaken = rawData.time_taken || 1;
+    const timeLimit = rawData.time_limit || 60;
+
+    // Vocabulary
+    const vocabulary = (validWords / totalWords) * 100;
+
+    // Speed (capped at 100)
+    const speed = Math.min(100, (validWords / timeLimit) * 100);
+
+    const finalScore =
+      (vocabulary * weights.vocabulary) +
+      (speed * weights.speed);
+
+    return {
+      final_score: parseFloat(finalScore.toFixed(2)),
+      competencies: {
+        vocabulary: {
+          raw: parseFloat(vocabulary.toFixed(2)),
+          weighted: parseFloat((vocabulary * weights.vocabulary).toFixed(2)),
+          weight: weights.vocabulary
+        },
+        speed: {
+          raw: parseFloat(speed.toFixed(2)),
+          weighted: parseFloat((speed * weights.speed).toFixed(2)),
+          weight: weights.speed
+        }
+      },
+      raw_stats: {
+        unique_valid_words: validWords,
+        total_words_entered: totalWords,
+        time_taken: timeTaken
+      }
+    };
+  }
+};
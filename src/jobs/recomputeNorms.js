@@ -0,0 +1,34 @@
+/**
+ * Norms Recompute Job
+ * Rebuilds the score_norms tables from completed test_sessions
+ *
+ * Usage: npm run norms:recompute [-- <game_type>]
+ * Also runs on a timer inside the server when NORMS_RECOMPUTE_INTERVAL_MINUTES is set
+ */
+
+require('dotenv').config();
+const normsService = require('../services/norms.service');
+
+async function recomputeNorms(gameType = null) {
+  const results = await normsService.recomputeAll(gameType);
+
+  for (const result of results) {
+    const groups = Object.entries(result.groups)
+      .map(([groupKey, sampleSize]) => `${groupKey}=${sampleSize}`)
+      .join(', ');
+    console.log(`📊 ${result.game_type} ${result.version_name}: ${groups || 'no completed sessions'}`);
+  }
+
+  return results;
+}
+
+module.exports = { recomputeNorms };
+
+if (require.main === module) {
+  recomputeNorms(process.argv[2] || null)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Norms recompute failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,37 @@
+/**
+ * Active Version Repair Job
+ * Leaves exactly one active version per game type (see
+ * POST /api/scoring/active-versions/repair)
+ *
+ * Usage: npm run versions:repair [-- <game_type>]
+ */
+
+require('dotenv').config();
+const scoringService = require('../services/scoring.service');
+
+async function repairActiveVersions(gameType = null) {
+  const repairs = await scoringService.repairActiveVersions(gameType);
+
+  for (const repair of repairs) {
+    console.log(`🔧 ${repair.game_type}: ${repair.problem}, ${repair.active_version} is now active`);
+  }
+
+  // Game types with only drafts (or versions in review) cannot be repaired
+  const remaining = await scoringService.checkActiveVersions(gameType);
+  for (const problem of remaining) {
+    console.warn(`⚠️  ${problem.game_type}: ${problem.problem}, no version can be activated`);
+  }
+
+  return repairs;
+}
+
+module.exports = { repairActiveVersions };
+
+if (require.main === module) {
+  repairActiveVersions(process.argv[2] || null)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Active version repair failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,40 @@
+/**
+ * Rescore Job Runner
+ * Runs or resumes a rescore job created with POST /api/scoring/rescore
+ * (e.g. one left 'running' by a server restart, once its runner's lease
+ * is stale, or 'paused')
+ *
+ * Usage: npm run rescore -- <job_id>
+ */
+
+require('dotenv').config();
+const rescoreService = require('../services/rescore.service');
+
+async function rescoreSessions(jobId) {
+  const job = await rescoreService.runJob(jobId);
+  if (!job) throw new Error(`Rescore job ${jobId} not found`);
+
+  // runJob only returns a running job when another runner still holds it
+  if (job.status === 'running') throw new Error(`Rescore job ${jobId} is already running`);
+
+  const { status, progress } = rescoreService.describeJob(job);
+  console.log(`🔁 Rescore job ${jobId}: ${status}, ${progress.processed}/${progress.total} sessions (${progress.failed} failed)`);
+
+  return job;
+}
+
+module.exports = { rescoreSessions };
+
+if (require.main === module) {
+  if (!process.argv[2]) {
+    console.error('Usage: npm run rescore -- <job_id>');
+    process.exit(1);
+  }
+
+  rescoreSessions(process.argv[2])
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Rescore failed:', error);
+      process.exit(1);
+    });
+}
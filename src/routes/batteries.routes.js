@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const batteryService = require('../services/battery.service');
+
+/**
+ * POST /api/batteries
+ * Create a battery (ordered games, each pinned to a scoring version)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { battery, user_id } = req.body;
+
+    const errors = batteryService.validateBattery(battery);
+    const pinned = errors.length === 0
+      ? await batteryService.pinVersions(battery.games)
+      : { games: [], errors: [] };
+
+    if (errors.length > 0 || pinned.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid battery',
+        details: [...errors, ...pinned.errors]
+      });
+    }
+
+    const saved = await batteryService.createBattery(battery, pinned.games, user_id);
+
+    res.json({
+      success: true,
+      message: `Battery ${saved.name} created`,
+      data: saved
+    });
+
+  } catch (error) {
+    console.error('Error creating battery:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/batteries
+ * Get all batteries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const batteries = await batteryService.getAllBatteries();
+
+    res.json({
+      success: true,
+      data: batteries
+    });
+
+  } catch (error) {
+    console.error('Error getting batteries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/batteries/sessions/:id
+ * Battery session report: progress, per-game scores and composite score
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const report = await batteryService.getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Battery session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error getting battery report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/batteries/:id
+ * Get a battery
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const battery = await batteryService.getBattery(req.params.id);
+
+    if (!battery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Battery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: battery
+    });
+
+  } catch (error) {
+    console.error('Error getting battery:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/batteries/:id/sessions
+ * Start a battery session for a user
+ */
+router.post('/:id/sessions', async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'user_id is required'
+      });
+    }
+
+    const battery = await batteryService.getBattery(req.params.id);
+
+    if (!battery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Battery not found'
+      });
+    }
+
+    const batterySession = await batteryService.startSession(battery.id, user_id);
+
+    res.json({
+      success: true,
+      message: 'Battery session started',
+      data: {
+        battery_session_id: batterySession.id,
+        battery_name: battery.name,
+        games: battery.games.map(game => ({ game_type: game.game_type, version_name: game.version_name }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error starting battery session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const experimentService = require('../services/experiment.service');
+
+/**
+ * POST /api/experiments
+ * Start an A/B experiment between scoring versions of a game
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { experiment, user_id } = req.body;
+
+    const errors = experimentService.validateExperiment(experiment);
+    const pinned = errors.length === 0
+      ? await experimentService.pinArms(experiment.game_type, experiment.arms)
+      : { arms: [], errors: [] };
+
+    if (errors.length > 0 || pinned.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid experiment',
+        details: [...errors, ...pinned.errors]
+      });
+    }
+
+    const saved = await experimentService.createExperiment(experiment, pinned.arms, user_id);
+
+    res.json({
+      success: true,
+      message: `Experiment ${saved.name} started`,
+      data: saved
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error starting experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/experiments?game_type=stroop_test
+ * Get all experiments
+ */
+router.get('/', async (req, res) => {
+  try {
+    const experiments = await experimentService.getExperiments(req.query.game_type || null);
+
+    res.json({
+      success: true,
+      data: experiments
+    });
+
+  } catch (error) {
+    console.error('Error getting experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/experiments/:id
+ * Get an experiment
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const experiment = await experimentService.getExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: experiment
+    });
+
+  } catch (error) {
+    console.error('Error getting experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/experiments/:id/stop
+ * Stop an experiment (submissions go back to the active version)
+ */
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const experiment = await experimentService.stopExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'No running experiment with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Experiment ${experiment.name} stopped`,
+      data: experiment
+    });
+
+  } catch (error) {
+    console.error('Error stopping experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/experiments/:id/summary
+ * Score distributions per arm
+ */
+router.get('/:id/summary', async (req, res) => {
+  try {
+    const experiment = await experimentService.getExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    const summary = await experimentService.summarize(experiment);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Error summarizing experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const scoringCalculator = require('../services/scoringCalculator');
+const inputValidator = require('../services/inputValidator');
+const gameRegistry = require('../services/gameRegistry');
+const normsService = require('../services/norms.service');
+const batteryService = require('../services/battery.service');
+const experimentService = require('../services/experiment.service');
+const shadowService = require('../services/shadow.service');
+const rescoreService = require('../services/rescore.service');
 
 /**
  * POST /api/games/submit
@@ -9,7 +16,7 @@ const scoringCalculator = require('../services/scoringCalculator');
  */
 router.post('/submit', async (req, res) => {
   try {
-    const { game_type, user_id, raw_data } = req.body;
+    const { game_type, user_id, raw_data, age_band, cohort, battery_session_id } = req.body;
 
     if (!game_type || !user_id || !raw_data) {
       return res.status(400).json({
@@ -18,33 +25,92 @@ router.post('/submit', async (req, res) => {
       });
     }
 
-    console.log(`\n=== Submitting ${game_type} ===`);
-    console.log(`User: ${user_id}`);
+    if (!gameRegistry.has(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${game_type}`
+      });
+    }
 
-    // Get active scoring configuration
-    const { data: config, error: configError } = await supabase
-      .from('scoring_versions')
-      .select('*')
-      .eq('game_type', game_type)
-      .eq('is_active', true)
-      .single();
+    if (!gameRegistry.supportsFormulaScoring(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `${game_type} is AI-scored. Submit it to /api/ai/submit-game`
+      });
+    }
 
-    if (configError || !config) {
-      return res.status(404).json({
+    // Validate raw_data against the game's input contract
+    const inputValidation = inputValidator.validate(game_type, raw_data, 'raw_data');
+
+    if (!inputValidation.valid) {
+      return res.status(422).json({
         success: false,
-        error: `No active scoring configuration found for ${game_type}`
+        error: `Invalid raw_data for ${game_type}`,
+        details: inputValidation.errors
       });
     }
 
+    console.log(`\n=== Submitting ${game_type} ===`);
+    console.log(`User: ${user_id}`);
+
+    // Get the scoring configuration: pinned by the battery, assigned by a
+    // running experiment, otherwise the active one
+    let config;
+    const experiment = battery_session_id
+      ? null
+      : await experimentService.resolveVersion(game_type, user_id);
+    if (battery_session_id) {
+      const batteryVersion = await batteryService.getSubmissionVersion(battery_session_id, user_id, game_type);
+
+      if (!batteryVersion.valid) {
+        return res.status(batteryVersion.status).json({
+          success: false,
+          error: batteryVersion.error
+        });
+      }
+      config = batteryVersion.version;
+    } else if (experiment) {
+      config = experiment.version;
+    } else {
+      const { data: activeConfig, error: configError } = await supabase
+        .from('scoring_versions')
+        .select('*')
+        .eq('game_type', game_type)
+        .eq('is_active', true)
+        .single();
+
+      if (configError || !activeConfig) {
+        return res.status(404).json({
+          success: false,
+          error: `No active scoring configuration found for ${game_type}`
+        });
+      }
+      config = activeConfig;
+    }
+
     console.log(`Using version: ${config.version_name}`);
 
     // Calculate scores using dynamic formulas
-    const scores = scoringCalculator.calculateScores(
+    const { diagnostics, explanation, ...scores } = scoringCalculator.calculateScores(
       game_type,
       config.config,
       raw_data
     );
 
+    // Strict mode: formula failures either reject the submission or flag the session for review
+    const hasDiagnostics = Array.isArray(diagnostics) && diagnostics.length > 0;
+
+    if (hasDiagnostics && scoringCalculator.getFailureAction(config.config) === 'reject') {
+      return res.status(422).json({
+        success: false,
+        error: 'Scoring formulas failed to evaluate',
+        diagnostics: diagnostics
+      });
+    }
+
+    // Compare against the version's population norms
+    await normsService.annotateScores(config, scores, { age_band, cohort });
+
     // Create test session
     const { data: session, error: sessionError } = await supabase
       .from('test_sessions')
@@ -52,13 +118,27 @@ router.post('/submit', async (req, res) => {
         user_id: user_id,
         game_type: game_type,
         scoring_version_id: config.id,
-        status: 'completed',
+        status: hasDiagnostics ? 'needs_review' : 'completed',
         final_scores: scores,
+        evaluation_diagnostics: hasDiagnostics ? diagnostics : null,
+        score_explanation: explanation,
+        age_band: age_band || null,
+        cohort: cohort || null,
+        battery_session_id: battery_session_id || null,
+        experiment_id: experiment ? experiment.experiment_id : null,
+        experiment_arm: experiment ? experiment.experiment_arm : null,
         completed_at: new Date().toISOString()
       })
       .select()
       .single();
 
+    // Another attempt completed this battery game in the meantime
+    if (sessionError && sessionError.code === '23505' && battery_session_id) {
+      return res.status(409).json({
+        success: false,
+        error: `${game_type} was already submitted in this battery session`
+      });
+    }
     if (sessionError) throw sessionError;
 
     // Store raw data
@@ -71,6 +151,11 @@ router.post('/submit', async (req, res) => {
 
     if (receiptError) throw receiptError;
 
+    // Battery sessions complete (with their composite score) after their last game
+    const battery = battery_session_id
+      ? await batteryService.recordProgress(battery_session_id)
+      : null;
+
     console.log(`✅ Game submitted successfully. Session: ${session.id}`);
 
     res.json({
@@ -79,10 +164,18 @@ router.post('/submit', async (req, res) => {
       data: {
         session_id: session.id,
         version_used: config.version_name,
-        scores: scores
+        status: session.status,
+        scores: scores,
+        diagnostics: hasDiagnostics ? diagnostics : undefined,
+        battery: battery ? { status: battery.status, progress: battery.progress, composite: battery.composite } : undefined,
+        experiment: experiment ? { id: experiment.experiment_id, arm: experiment.experiment_arm } : undefined
       }
     });
 
+    // Score candidate (shadow) versions after responding so they add no latency;
+    // scoreShadows never rejects
+    shadowService.scoreShadows(game_type, session.id, config, raw_data);
+
   } catch (error) {
     console.error('Error submitting game:', error);
     res.status(500).json({
@@ -132,4 +225,224 @@ router.get('/results/:gameType', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/games/sessions/:id/explain
+ * Explain how a session's scores were calculated
+ * (sessions stored before explanations were recorded are rebuilt from their raw data)
+ */
+router.get('/sessions/:id/explain', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: session, error } = await supabase
+      .from('test_sessions')
+      .select(`
+        id,
+        game_type,
+        status,
+        final_scores,
+        score_explanation,
+        score_revision,
+        scoring_version:scoring_versions(version_name, config)
+      `)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    // Rescored sessions keep their live version; the scores come from the revision's
+    if (session.score_revision) {
+      const { data: revision, error: revisionError } = await supabase
+        .from('score_revisions')
+        .select('scoring_version:scoring_versions(version_name, config)')
+        .eq('session_id', session.id)
+        .eq('revision', session.score_revision)
+        .maybeSingle();
+
+      if (revisionError) throw revisionError;
+      if (revision?.scoring_version) session.scoring_version = revision.scoring_version;
+    }
+
+    let explanation = session.score_explanation;
+    let rebuilt = false;
+
+    if (!explanation && session.scoring_version && gameRegistry.supportsFormulaScoring(session.game_type)) {
+      const { data: receipt, error: receiptError } = await supabase
+        .from('action_receipts')
+        .select('raw_data')
+        .eq('session_id', session.id)
+        .maybeSingle();
+
+      if (receiptError) throw receiptError;
+
+      if (receipt) {
+        explanation = scoringCalculator.calculateScores(
+          session.game_type,
+          session.scoring_version.config,
+          receipt.raw_data,
+          { reliability: false }
+        ).explanation;
+        rebuilt = true;
+      }
+    }
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        error: `No explanation available for session ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session_id: session.id,
+        game_type: session.game_type,
+        status: session.status,
+        version_used: session.scoring_version?.version_name,
+        score_revision: session.score_revision || null,
+        final_score: session.final_scores?.final_score,
+        rebuilt: rebuilt,
+        explanation: explanation
+      }
+    });
+
+  } catch (error) {
+    console.error('Error explaining session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/games/sessions/:id/revisions
+ * List a session's score revisions (original scores and every rescore)
+ */
+router.get('/sessions/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: session, error } = await supabase
+      .from('test_sessions')
+      .select('id, game_type, score_revision')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const revisions = await rescoreService.getSessionRevisions(id);
+
+    res.json({
+      success: true,
+      data: {
+        session_id: session.id,
+        game_type: session.game_type,
+        current_revision: session.score_revision || null,
+        revisions: revisions.map(revision => ({
+          revision: revision.revision,
+          source: revision.source,
+          job_id: revision.job_id,
+          version_used: revision.scoring_version?.version_name || null,
+          final_score: revision.scores?.final_score,
+          scores: revision.scores,
+          created_at: revision.created_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting session revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/games/types
+ * List the registered game types and how each is scored
+ */
+router.get('/types', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: gameRegistry.list().map(game => gameRegistry.describe(game))
+    });
+
+  } catch (error) {
+    console.error('Error listing game types:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/games/schemas
+ * Get the input contracts for every game type
+ */
+router.get('/schemas', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: inputValidator.getSchemas()
+    });
+
+  } catch (error) {
+    console.error('Error getting schemas:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/games/schemas/:gameType
+ * Get the input contract for a game type
+ */
+router.get('/schemas/:gameType', async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const schema = inputValidator.getSchema(gameType);
+
+    if (!schema) {
+      return res.status(404).json({
+        success: false,
+        error: `No input schema defined for ${gameType}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schema
+    });
+
+  } catch (error) {
+    console.error('Error getting schema:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
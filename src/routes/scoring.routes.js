@@ -3,7 +3,18 @@ const router = express.Router();
 const supabase = require('../config/supabase');
 const formulaEvaluator = require('../services/formulaEvaluator');
 const scoringCalculator = require('../services/scoringCalculator');
+const scoringService = require('../services/scoring.service');
 const variableExtractor = require('../services/variableExtractor');
+const derivedVariables = require('../services/derivedVariables');
+const scorePolicy = require('../services/scorePolicy');
+const formulaAnalyzer = require('../services/formulaAnalyzer');
+const gameRegistry = require('../services/gameRegistry');
+const normsService = require('../services/norms.service');
+const configValidator = require('../services/configValidator');
+const profileService = require('../services/profile.service');
+const shadowService = require('../services/shadow.service');
+const rescoreService = require('../services/rescore.service');
+const impactService = require('../services/impact.service');
 
 /**
  * POST /api/scoring/validate-formula
@@ -11,7 +22,7 @@ const variableExtractor = require('../services/variableExtractor');
  */
 router.post('/validate-formula', async (req, res) => {
   try {
-    const { formula, test_variables } = req.body;
+    const { formula, test_variables, game_type, derived_variables, custom_variables } = req.body;
 
     if (!formula) {
       return res.status(400).json({
@@ -48,11 +59,19 @@ router.post('/validate-formula', async (req, res) => {
     // Get variables used in formula
     const variables = formulaEvaluator.getFormulaVariables(formula);
 
+    // Check the formula against the game's variable catalog
+    let analysis = null;
+    if (game_type) {
+      const context = formulaAnalyzer.buildContext(game_type, { derived_variables, custom_variables });
+      analysis = formulaAnalyzer.analyzeFormula(formula, game_type, context);
+    }
+
     res.json({
       success: true,
-      valid: true,
+      valid: !analysis || analysis.errors.length === 0,
       variables: variables,
-      test_result: testResult
+      test_result: testResult,
+      analysis: analysis
     });
 
   } catch (error) {
@@ -66,11 +85,36 @@ router.post('/validate-formula', async (req, res) => {
 
 /**
  * POST /api/scoring/preview
- * Preview scores with custom formulas (doesn't save to database)
+ * Preview scores with custom formulas or a saved version (doesn't save to database)
  */
 router.post('/preview', async (req, res) => {
   try {
-    const { game_type, formulas, weights, test_variables } = req.body;
+    const { game_type, version_name, test_variables } = req.body;
+    let { formulas, weights, derived_variables, competency_policies } = req.body;
+
+    // Preview a saved version (e.g. a draft); formulas etc. in the body override its config
+    if (game_type && version_name) {
+      const { data: version, error: versionError } = await supabase
+        .from('scoring_versions')
+        .select('config')
+        .eq('game_type', game_type)
+        .eq('version_name', version_name)
+        .maybeSingle();
+
+      if (versionError) throw versionError;
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version_name} not found for ${game_type}`
+        });
+      }
+
+      formulas = formulas || version.config.competency_formulas;
+      weights = weights || version.config.final_weights;
+      derived_variables = derived_variables || version.config.derived_variables;
+      competency_policies = competency_policies || version.config.competency_policies;
+    }
 
     if (!game_type || !formulas || !weights || !test_variables) {
       return res.status(400).json({
@@ -79,9 +123,21 @@ router.post('/preview', async (req, res) => {
       });
     }
 
+    let variables;
+    try {
+      variables = derivedVariables.applyDerivedVariables(derived_variables, test_variables);
+    } catch (error) {
+      return res.json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // Create a temporary config
     const tempConfig = {
       competency_formulas: formulas,
+      derived_variables: derived_variables || {},
+      competency_policies: competency_policies || {},
       final_weights: weights,
       settings: {}
     };
@@ -91,7 +147,7 @@ router.post('/preview', async (req, res) => {
     let totalWeighted = 0;
 
     for (const [name, formula] of Object.entries(formulas)) {
-      const testResponse = formulaEvaluator.testFormula(formula, test_variables);
+      const testResponse = formulaEvaluator.testFormula(formula, variables);
       
       if (!testResponse.success) {
         return res.json({
@@ -100,7 +156,7 @@ router.post('/preview', async (req, res) => {
         });
       }
 
-      const rawScore = Math.max(0, Math.min(100, testResponse.result));
+      const rawScore = scorePolicy.apply(testResponse.result, scorePolicy.getPolicy(tempConfig, name)).score;
       const weight = weights[name] || 0;
       const weighted = rawScore * weight;
 
@@ -170,10 +226,11 @@ router.post('/compare', async (req, res) => {
     for (const version of versions) {
       const scores = {};
       let totalWeighted = 0;
+      const variables = derivedVariables.applyDerivedVariables(version.config.derived_variables, test_data);
 
       for (const [name, formula] of Object.entries(version.config.competency_formulas || {})) {
-        const result = formulaEvaluator.evaluate(formula, test_data);
-        const rawScore = Math.max(0, Math.min(100, result));
+        const result = formulaEvaluator.evaluate(formula, variables);
+        const rawScore = scorePolicy.apply(result, scorePolicy.getPolicy(version.config, name)).score;
         const weight = version.config.final_weights[name] || 0;
         const weighted = rawScore * weight;
 
@@ -199,7 +256,7 @@ router.post('/compare', async (req, res) => {
     }
 
     // Calculate differences
-    const differences = this.calculateDifferences(comparisons);
+    const differences = calculateDifferences(comparisons);
 
     res.json({
       success: true,
@@ -219,6 +276,81 @@ router.post('/compare', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/scoring/impact
+ * Score the most recent real sessions with a candidate config (or saved
+ * version) and the active version, and report how the scores would move
+ */
+router.post('/impact', async (req, res) => {
+  try {
+    const { game_type, version_name, config: submittedConfig, limit, threshold } = req.body;
+
+    if (!game_type || (!submittedConfig && !version_name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: game_type, and config or version_name'
+      });
+    }
+
+    if (!gameRegistry.has(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${game_type}`
+      });
+    }
+
+    let candidate;
+    if (submittedConfig) {
+      const checked = validateSubmittedConfig(game_type, submittedConfig);
+      if (checked.status) {
+        return res.status(checked.status).json(checked.body);
+      }
+      candidate = checked.config;
+    } else {
+      const { data: version, error: versionError } = await supabase
+        .from('scoring_versions')
+        .select('config')
+        .eq('game_type', game_type)
+        .eq('version_name', version_name)
+        .maybeSingle();
+
+      if (versionError) throw versionError;
+
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version_name} not found for ${game_type}`
+        });
+      }
+      candidate = version.config;
+    }
+
+    const result = await impactService.analyze(game_type, candidate, { limit, threshold });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        candidate_version: submittedConfig ? null : version_name,
+        ...result.report
+      }
+    });
+
+  } catch (error) {
+    console.error('Error analyzing impact:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Calculate differences between versions
  */
@@ -267,14 +399,44 @@ function calculateDifferences(comparisons) {
 }
 
 /**
- * GET /api/scoring/variables/:gameType
+ * GET /api/scoring/variables/:gameType?version=V3
  * Get available variables for a game type
+ * (custom variables come from the given version, or the active one)
  */
 router.get('/variables/:gameType', async (req, res) => {
   try {
     const { gameType } = req.params;
+    const { version } = req.query;
+
+    let scoringVersion = null;
+
+    if (version) {
+      const { data, error } = await supabase
+        .from('scoring_versions')
+        .select('config')
+        .eq('game_type', gameType)
+        .eq('version_name', version)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version} not found for ${gameType}`
+        });
+      }
+      scoringVersion = data;
+    } else {
+      try {
+        scoringVersion = await scoringService.getActiveVersion(gameType);
+      } catch (error) {
+        // Without an active version only the built-in variables are listed
+        if (error.status !== 404) throw error;
+      }
+    }
 
-    const variables = variableExtractor.getAvailableVariables(gameType);
+    const variables = variableExtractor.getAvailableVariables(gameType, scoringVersion?.config);
 
     res.json({
       success: true,
@@ -290,6 +452,28 @@ router.get('/variables/:gameType', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/scoring/functions
+ * Get functions available to formulas
+ */
+router.get('/functions', async (req, res) => {
+  try {
+    const functions = formulaEvaluator.getAvailableFunctions();
+
+    res.json({
+      success: true,
+      data: functions
+    });
+
+  } catch (error) {
+    console.error('Error getting functions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/scoring/active/:gameType
  * Get active scoring configuration
@@ -359,67 +543,139 @@ router.get('/versions/:gameType', async (req, res) => {
   }
 });
 
+/**
+ * Validate a submitted scoring config before it is saved
+ * (structure, formulas, custom and derived variables, formula analysis)
+ * @returns {object} - { config, analysis, configReport } or { status, body } for the error response
+ */
+function validateSubmittedConfig(gameType, submittedConfig) {
+  // Validate the whole config (structure, weights vs formulas, weight sum)
+  const configReport = configValidator.validateConfig(gameType, submittedConfig);
+
+  if (!configReport.valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid scoring configuration',
+        details: configReport.errors,
+        warnings: configReport.warnings
+      }
+    };
+  }
+
+  // Weights may have been normalized
+  const config = configReport.config;
+
+  // Validate all formulas
+  for (const [name, formula] of Object.entries(config.competency_formulas || {})) {
+    const validation = formulaEvaluator.validateFormula(formula);
+    if (!validation.valid) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: `Invalid formula for ${name}: ${validation.error}`
+        }
+      };
+    }
+  }
+
+  // Validate custom variable rules
+  const customErrors = variableExtractor.validateCustomVariables(config.custom_variables, gameType);
+
+  if (customErrors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid custom variables',
+        details: customErrors
+      }
+    };
+  }
+
+  // Validate derived variables (unknown references, cycles)
+  const derivedErrors = derivedVariables.validateDerivedVariables(
+    config.derived_variables,
+    variableExtractor.getVariableNames(gameType, config)
+  );
+
+  if (derivedErrors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid derived variables',
+        details: derivedErrors
+      }
+    };
+  }
+
+  // Check formulas against the game's variable catalog
+  const analysis = formulaAnalyzer.analyzeConfig(gameType, config);
+
+  if (!analysis.valid) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Formula analysis failed',
+        details: analysis
+      }
+    };
+  }
+
+  return { config, analysis, configReport };
+}
+
 /**
  * POST /api/scoring/save
- * Save new scoring version
+ * Save new scoring version as a draft
  */
 router.post('/save', async (req, res) => {
   try {
-    const { game_type, user_id, description, config } = req.body;
+    const { game_type, user_id, description, config: submittedConfig } = req.body;
 
-    if (!game_type || !config) {
+    if (!game_type || !submittedConfig) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields: game_type, config'
       });
     }
 
-    // Validate all formulas
-    for (const [name, formula] of Object.entries(config.competency_formulas || {})) {
-      const validation = formulaEvaluator.validateFormula(formula);
-      if (!validation.valid) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid formula for ${name}: ${validation.error}`
-        });
-      }
+    if (!gameRegistry.has(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${game_type}`
+      });
     }
 
-    // Get next version name
-    const { data: nextVersionData, error: versionError } = await supabase
-      .rpc('get_next_version_name', { p_game_type: game_type });
-
-    if (versionError) throw versionError;
-
-    const versionName = nextVersionData;
-
-    // Deactivate current active version
-    await supabase
-      .from('scoring_versions')
-      .update({ is_active: false })
-      .eq('game_type', game_type)
-      .eq('is_active', true);
+    const checked = validateSubmittedConfig(game_type, submittedConfig);
+    if (checked.status) {
+      return res.status(checked.status).json(checked.body);
+    }
 
-    // Insert new version
-    const { data: newVersion, error: insertError } = await supabase
-      .from('scoring_versions')
-      .insert({
-        game_type: game_type,
-        version_name: versionName,
-        description: description || `Version ${versionName}`,
-        is_active: true,
-        config: config,
-        created_by: user_id
-      })
-      .select()
-      .single();
+    const { config, analysis, configReport } = checked;
 
-    if (insertError) throw insertError;
+    // Saved as a draft: scoring is unaffected until it is approved and activated
+    const newVersion = await scoringService.saveNewVersion(
+      game_type,
+      config,
+      user_id,
+      description || null
+    );
+    const versionName = newVersion.version_name;
 
     res.json({
       success: true,
-      message: `Saved as ${versionName}`,
-      data: newVersion
+      message: `Saved as ${versionName} (draft)`,
+      data: newVersion,
+      analysis: analysis,
+      validation: {
+        normalized: configReport.normalized,
+        warnings: configReport.warnings
+      }
     });
 
   } catch (error) {
@@ -433,11 +689,11 @@ router.post('/save', async (req, res) => {
 
 /**
  * POST /api/scoring/set-active
- * Set a version as active
+ * Set an approved (or previously active) version as active
  */
 router.post('/set-active', async (req, res) => {
   try {
-    const { game_type, version_name } = req.body;
+    const { game_type, version_name, expected_version, user_id } = req.body;
 
     if (!game_type || !version_name) {
       return res.status(400).json({
@@ -446,22 +702,16 @@ router.post('/set-active', async (req, res) => {
       });
     }
 
-    // Deactivate all versions for this game
-    await supabase
-      .from('scoring_versions')
-      .update({ is_active: false })
-      .eq('game_type', game_type);
-
-    // Activate specified version
-    const { data, error } = await supabase
-      .from('scoring_versions')
-      .update({ is_active: true })
-      .eq('game_type', game_type)
-      .eq('version_name', version_name)
-      .select()
-      .single();
+    // Required so a concurrent activation is always detected (null = none was active)
+    if (expected_version === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'expected_version is required: the active version_name when the editor loaded, or null'
+      });
+    }
 
-    if (error) throw error;
+    // Deactivate the current version and activate this one in one transaction
+    const data = await scoringService.setActiveVersion(game_type, version_name, expected_version, user_id);
 
     res.json({
       success: true,
@@ -470,6 +720,28 @@ router.post('/set-active', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: 'The active version changed since it was loaded',
+        current_version: error.currentVersion
+      });
+    }
+
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.body.version_name} not found for ${req.body.game_type}`
+      });
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Error setting active version:', error);
     res.status(500).json({
       success: false,
@@ -478,4 +750,612 @@ router.post('/set-active', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/scoring/versions/:gameType/:versionName
+ * Edit a draft (validated like a new version)
+ */
+router.put('/versions/:gameType/:versionName', async (req, res) => {
+  try {
+    const { gameType, versionName } = req.params;
+    const { description, config: submittedConfig } = req.body;
+
+    if (!submittedConfig) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: config'
+      });
+    }
+
+    if (!gameRegistry.has(gameType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${gameType}`
+      });
+    }
+
+    const checked = validateSubmittedConfig(gameType, submittedConfig);
+    if (checked.status) {
+      return res.status(checked.status).json(checked.body);
+    }
+
+    const { config, analysis, configReport } = checked;
+
+    const updated = await scoringService.updateDraft(gameType, versionName, config, description);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: `${versionName} is not a draft of ${gameType}; only drafts can be edited`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Draft ${versionName} updated`,
+      data: updated,
+      analysis: analysis,
+      validation: {
+        normalized: configReport.normalized,
+        warnings: configReport.warnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating draft:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/versions/:gameType/:versionName/status
+ * Move a version through review: in_review, draft, approved or discarded
+ */
+router.post('/versions/:gameType/:versionName/status', async (req, res) => {
+  try {
+    const { gameType, versionName } = req.params;
+    const { status, user_id, note } = req.body;
+
+    if (!status || !user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: status, user_id'
+      });
+    }
+
+    if (status === 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Activate approved versions with POST /api/scoring/set-active'
+      });
+    }
+
+    const data = await scoringService.transitionVersion(gameType, versionName, status, user_id, note || null);
+
+    res.json({
+      success: true,
+      message: `${versionName} is now ${data.status}`,
+      data: data
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error changing version status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/versions/:gameType/:versionName/history
+ * Get the status transitions of a version
+ */
+router.get('/versions/:gameType/:versionName/history', async (req, res) => {
+  try {
+    const { gameType, versionName } = req.params;
+
+    const history = await scoringService.getVersionHistory(gameType, versionName);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${versionName} not found for ${gameType}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Error getting version history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/norms/:gameType?version=V3
+ * Get the population norms of a scoring version (active version by default)
+ */
+router.get('/norms/:gameType', async (req, res) => {
+  try {
+    const { gameType } = req.params;
+    const { version } = req.query;
+
+    let query = supabase
+      .from('scoring_versions')
+      .select('id, version_name')
+      .eq('game_type', gameType);
+
+    query = version
+      ? query.eq('version_name', version)
+      : query.eq('is_active', true);
+
+    const { data: scoringVersion, error } = await query.maybeSingle();
+
+    if (error) throw error;
+
+    if (!scoringVersion) {
+      return res.status(404).json({
+        success: false,
+        error: `Scoring version not found for ${gameType}`
+      });
+    }
+
+    const norms = await normsService.getNorms(scoringVersion.id);
+
+    res.json({
+      success: true,
+      data: {
+        version_name: scoringVersion.version_name,
+        norms: norms
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting norms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/norms/recompute
+ * Rebuild norms from completed sessions (all versions, or one game type)
+ */
+router.post('/norms/recompute', async (req, res) => {
+  try {
+    const { game_type } = req.body;
+
+    if (game_type && !gameRegistry.has(game_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown game type: ${game_type}`
+      });
+    }
+
+    const results = await normsService.recomputeAll(game_type || null);
+
+    res.json({
+      success: true,
+      message: `Norms recomputed for ${results.length} version(s)`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Error recomputing norms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/profile-mapping
+ * Get the active mapping from game competencies to profile competencies
+ */
+router.get('/profile-mapping', async (req, res) => {
+  try {
+    const mapping = await profileService.getMapping();
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+
+  } catch (error) {
+    console.error('Error getting profile mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/scoring/profile-mapping
+ * Replace the profile mapping (the new mapping becomes active)
+ */
+router.put('/profile-mapping', async (req, res) => {
+  try {
+    const { mapping, user_id } = req.body;
+
+    const errors = profileService.validateMapping(mapping);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid profile mapping',
+        details: errors
+      });
+    }
+
+    const saved = await profileService.saveMapping(mapping, user_id);
+
+    res.json({
+      success: true,
+      message: 'Profile mapping saved',
+      data: saved
+    });
+
+  } catch (error) {
+    console.error('Error saving profile mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/active-versions/check?game_type=stroop_test
+ * Find game types with zero or several active versions
+ */
+router.get('/active-versions/check', async (req, res) => {
+  try {
+    const { game_type } = req.query;
+
+    const problems = await scoringService.checkActiveVersions(game_type || null);
+
+    res.json({
+      success: true,
+      data: {
+        healthy: problems.length === 0,
+        problems: problems
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking active versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/active-versions/repair
+ * Leave exactly one active version per game type (the most recently activated)
+ */
+router.post('/active-versions/repair', async (req, res) => {
+  try {
+    const { game_type } = req.body;
+
+    const repairs = await scoringService.repairActiveVersions(game_type || null);
+
+    res.json({
+      success: true,
+      message: `Repaired ${repairs.length} game type(s)`,
+      data: repairs
+    });
+
+  } catch (error) {
+    console.error('Error repairing active versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/shadows/:gameType
+ * Get the versions shadow scored on live submissions
+ */
+router.get('/shadows/:gameType', async (req, res) => {
+  try {
+    const shadows = await shadowService.getShadows(req.params.gameType);
+
+    res.json({
+      success: true,
+      data: shadows.map(shadow => ({
+        version_name: shadow.version_name,
+        status: shadow.scoring_version?.status,
+        created_by: shadow.created_by,
+        created_at: shadow.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error getting shadow versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/shadows
+ * Start shadow scoring a candidate version on live submissions
+ */
+router.post('/shadows', async (req, res) => {
+  try {
+    const { game_type, version_name, user_id } = req.body;
+
+    if (!game_type || !version_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: game_type, version_name'
+      });
+    }
+
+    const result = await shadowService.addShadow(game_type, version_name, user_id);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${version_name} is now shadow scored`,
+      data: result.shadow
+    });
+
+  } catch (error) {
+    console.error('Error adding shadow version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scoring/shadows/:gameType/:versionName
+ * Stop shadow scoring a version (stored shadow scores are kept)
+ */
+router.delete('/shadows/:gameType/:versionName', async (req, res) => {
+  try {
+    const { gameType, versionName } = req.params;
+
+    const shadow = await shadowService.removeShadow(gameType, versionName);
+
+    if (!shadow) {
+      return res.status(404).json({
+        success: false,
+        error: `${versionName} is not shadow scored for ${gameType}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${versionName} is no longer shadow scored`,
+      data: shadow
+    });
+
+  } catch (error) {
+    console.error('Error removing shadow version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/shadows/:gameType/:versionName/report?limit=10
+ * Compare a shadow version with the live scores of the same sessions
+ */
+router.get('/shadows/:gameType/:versionName/report', async (req, res) => {
+  try {
+    const { gameType, versionName } = req.params;
+    const limit = parseInt(req.query.limit, 10) || undefined;
+
+    const report = await shadowService.getReport(gameType, versionName, limit);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${versionName} not found for ${gameType}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error building shadow report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/rescore
+ * Start a background job rescoring past sessions with a chosen version
+ */
+router.post('/rescore', async (req, res) => {
+  try {
+    const { game_type, version_name, from, to, source_version, dry_run, user_id } = req.body;
+
+    if (!game_type || !version_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: game_type, version_name'
+      });
+    }
+
+    const result = await rescoreService.createJob(
+      { game_type, version_name, from, to, source_version, dry_run },
+      user_id
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // Runs in the background; poll GET /api/scoring/rescore/:jobId
+    rescoreService.runJob(result.job.id)
+      .catch(error => console.error('Rescore job failed:', error.message));
+
+    res.status(202).json({
+      success: true,
+      message: `Rescore job started for ${result.job.total} session(s)`,
+      data: rescoreService.describeJob(result.job)
+    });
+
+  } catch (error) {
+    console.error('Error starting rescore job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scoring/rescore/:jobId
+ * Get a rescore job's progress and score changes
+ */
+router.get('/rescore/:jobId', async (req, res) => {
+  try {
+    const job = await rescoreService.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rescore job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rescoreService.describeJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error getting rescore job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scoring/rescore/:jobId/:action
+ * Pause, resume or cancel a rescore job
+ */
+router.post('/rescore/:jobId/:action', async (req, res) => {
+  try {
+    const { jobId, action } = req.params;
+
+    const transitions = {
+      pause: { from: ['pending', 'running'], to: 'paused' },
+      cancel: { from: ['pending', 'running', 'paused'], to: 'cancelled' }
+    };
+
+    if (action !== 'resume' && !transitions[action]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be pause, resume or cancel'
+      });
+    }
+
+    const job = await rescoreService.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rescore job not found'
+      });
+    }
+
+    if (action === 'resume') {
+      // Also takes over jobs left 'running' by a server restart, once their
+      // runner's lease is stale; jobs still being run are rejected
+      const claimed = await rescoreService.claimJob(jobId);
+
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: job.status === 'running'
+            ? 'Rescore job is already running'
+            : `Rescore job is ${job.status}`
+        });
+      }
+
+      rescoreService.processJob(claimed)
+        .catch(error => console.error('Rescore job failed:', error.message));
+
+      return res.status(202).json({
+        success: true,
+        message: 'Rescore job resumed',
+        data: rescoreService.describeJob(claimed)
+      });
+    }
+
+    const { from, to } = transitions[action];
+    const updated = await rescoreService.setStatus(jobId, from, to);
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: `Rescore job is ${job.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rescore job ${to}`,
+      data: rescoreService.describeJob(updated)
+    });
+
+  } catch (error) {
+    console.error('Error updating rescore job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const profileService = require('../services/profile.service');
+
+/**
+ * GET /api/users/:userId/profile?as_of=2026-10-19
+ * Cross-game competency profile of a user, with the sessions that
+ * contributed to each competency and their evidence weight
+ */
+router.get('/:userId/profile', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { as_of } = req.query;
+
+    const asOf = as_of ? new Date(as_of) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'as_of must be a valid date'
+      });
+    }
+
+    const profile = await profileService.getProfile(userId, asOf);
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    console.error('Error building profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -12,11 +12,17 @@ app.use(express.json());
 const scoringRoutes = require('./routes/scoring.routes');
 const gamesRoutes = require('./routes/games.routes');
 const aiRoutes = require('./routes/ai.routes');
+const usersRoutes = require('./routes/users.routes');
+const batteriesRoutes = require('./routes/batteries.routes');
+const experimentsRoutes = require('./routes/experiments.routes');
 
 // Mount routes
 app.use('/api/scoring', scoringRoutes);
 app.use('/api/games', gamesRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/batteries', batteriesRoutes);
+app.use('/api/experiments', experimentsRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -42,4 +48,21 @@ app.listen(PORT, () => {
   console.log(`🚀 NeuRazor Backend running on port ${PORT}`);
   console.log(`📊 Dynamic formula evaluation: ENABLED`);
   console.log(`🔗 API Base: http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+// Keep population norms fresh (optional)
+const normsInterval = parseFloat(process.env.NORMS_RECOMPUTE_INTERVAL_MINUTES);
+if (normsInterval > 0) {
+  const { recomputeNorms } = require('./jobs/recomputeNorms');
+  setInterval(() => {
+    recomputeNorms().catch(error => console.error('Norms recompute failed:', error));
+  }, normsInterval * 60 * 1000);
+  console.log(`📈 Norms recompute: every ${normsInterval} min`);
+}
+// Every game type needs exactly one active version; report (not repair) on startup
+require('./services/scoring.service')
+  .checkActiveVersions()
+  .then(problems => problems.forEach(problem => {
+    console.warn(`⚠️  ${problem.game_type}: ${problem.problem} (run npm run versions:repair)`);
+  }))
+  .catch(error => console.error('Active version check failed:', error.message));
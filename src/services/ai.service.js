@@ -4,6 +4,8 @@
  * Uses Google Gemini API
  */
 
+const gameRegistry = require('./gameRegistry');
+
 class AIService {
   
   /**
@@ -11,7 +13,7 @@ class AIService {
    */
   async scoreResponse(gameType, responseData, config) {
     const aiPrompts = config.ai_prompts || {};
-    const competencies = Object.keys(config.final_weights);
+    const competencies = gameRegistry.getAICompetencies(gameType, config);
     
     // Build the AI prompt based on game type
     const prompt = this.buildPrompt(gameType, responseData, aiPrompts, competencies);
@@ -28,28 +30,10 @@ class AIService {
   buildPrompt(gameType, responseData, aiPrompts, competencies) {
     let prompt = `You are an expert evaluator for cognitive assessments. Score the following response across multiple competencies.\n\n`;
     
-    switch(gameType) {
-      case 'scenario_challenge':
-        prompt += `SCENARIO:\n${responseData.scenario_text}\n\n`;
-        prompt += `QUESTION:\n${responseData.question_text}\n\n`;
-        prompt += `USER'S RESPONSE:\n${responseData.response_text}\n\n`;
-        break;
-        
-      case 'ai_debate':
-        prompt += `DEBATE TOPIC:\n${responseData.debate_statement}\n\n`;
-        prompt += `PROS ARGUMENT:\n${responseData.pros_text}\n\n`;
-        prompt += `CONS ARGUMENT:\n${responseData.cons_text}\n\n`;
-        break;
-        
-      case 'statement_reasoning':
-        prompt += `STATEMENTS:\n${responseData.statements.join('\n')}\n\n`;
-        prompt += `USER'S EXPLANATION:\n${responseData.response_text}\n\n`;
-        break;
-        
-      case 'creative_uses':
-        prompt += `OBJECT: ${responseData.object_name}\n\n`;
-        prompt += `USES PROVIDED:\n${responseData.uses.join('\n')}\n\n`;
-        break;
+    // Game-specific section comes from the game module (see src/games)
+    const game = gameRegistry.get(gameType);
+    if (game && game.buildPrompt) {
+      prompt += game.buildPrompt(responseData);
     }
     
     prompt += `\nEVALUATE THE FOLLOWING COMPETENCIES (score each 0-100):\n\n`;
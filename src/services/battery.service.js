@@ -0,0 +1,337 @@
+const supabase = require('../config/supabase');
+const inputValidator = require('./inputValidator');
+const gameRegistry = require('./gameRegistry');
+
+const BATTERY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'games'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    games: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['game_type'],
+        properties: {
+          game_type: { type: 'string', minLength: 1 },
+          version: { type: 'string', minLength: 1 },
+          weight: { type: 'number', exclusiveMinimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Assessment batteries
+ * A battery is an ordered set of games, each pinned to a scoring version.
+ * A battery session groups the user's test_sessions for those games
+ * (test_sessions.battery_session_id) and gets a composite score, the
+ * weighted mean of the games' final scores, once every game is completed.
+ */
+class BatteryService {
+
+  /**
+   * Validate a battery definition
+   * @returns {array} - [{ path, message }]
+   */
+  validateBattery(battery) {
+    const errors = [];
+    inputValidator.validateValue(BATTERY_SCHEMA, battery, 'battery', errors);
+    if (errors.length > 0) return errors;
+
+    const seen = new Set();
+    battery.games.forEach((game, index) => {
+      const path = `battery.games[${index}].game_type`;
+
+      if (!gameRegistry.has(game.game_type)) {
+        errors.push({ path, message: `unknown game type ${game.game_type}` });
+      } else if (seen.has(game.game_type)) {
+        errors.push({ path, message: `${game.game_type} appears more than once` });
+      }
+      seen.add(game.game_type);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Pin each game to the given version (or to the version active right now)
+   * @returns {object} - { games: [{ game_type, scoring_version_id, version_name, weight }],
+   *                       errors: [{ path, message }] }
+   */
+  async pinVersions(batteryGames) {
+    const games = [];
+    const errors = [];
+
+    for (const [index, game] of batteryGames.entries()) {
+      let query = supabase
+        .from('scoring_versions')
+        .select('id, version_name')
+        .eq('game_type', game.game_type);
+
+      // Drafts, versions in review and discarded versions cannot be pinned
+      query = game.version
+        ? query.eq('version_name', game.version).in('status', ['approved', 'active', 'retired'])
+        : query.eq('is_active', true);
+
+      const { data: version, error } = await query.maybeSingle();
+
+      if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+
+      if (!version) {
+        errors.push({
+          path: `battery.games[${index}]`,
+          message: game.version
+            ? `scoring version ${game.version} not found for ${game.game_type} (or not approved)`
+            : `no active scoring configuration found for ${game.game_type}`
+        });
+        continue;
+      }
+
+      games.push({
+        game_type: game.game_type,
+        scoring_version_id: version.id,
+        version_name: version.version_name,
+        weight: game.weight ?? 1
+      });
+    }
+
+    return { games, errors };
+  }
+
+  /**
+   * Save a battery with its pinned games (from pinVersions)
+   */
+  async createBattery(battery, games, userId = null) {
+    const { data, error } = await supabase
+      .from('batteries')
+      .insert({
+        name: battery.name,
+        description: battery.description || null,
+        games: games,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save battery: ${error.message}`);
+
+    return data;
+  }
+
+  /**
+   * Get a battery by id (null when it does not exist)
+   */
+  async getBattery(batteryId) {
+    const { data, error } = await supabase
+      .from('batteries')
+      .select('*')
+      .eq('id', batteryId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get battery: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Get all batteries
+   */
+  async getAllBatteries() {
+    const { data, error } = await supabase
+      .from('batteries')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to get batteries: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Start a battery session for a user
+   */
+  async startSession(batteryId, userId) {
+    const { data, error } = await supabase
+      .from('battery_sessions')
+      .insert({
+        battery_id: batteryId,
+        user_id: userId,
+        status: 'in_progress'
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to start battery session: ${error.message}`);
+
+    return data;
+  }
+
+  /**
+   * Resolve the scoring version for a game submitted within a battery session
+   * @returns {object} - { valid: true, version } or { valid: false, status, error }
+   */
+  async getSubmissionVersion(batterySessionId, userId, gameType) {
+    const { data: batterySession, error } = await supabase
+      .from('battery_sessions')
+      .select('*, battery:batteries(*)')
+      .eq('id', batterySessionId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get battery session: ${error.message}`);
+
+    if (!batterySession) {
+      return { valid: false, status: 404, error: 'Battery session not found' };
+    }
+    if (batterySession.user_id !== userId) {
+      return { valid: false, status: 403, error: 'Battery session belongs to another user' };
+    }
+    if (batterySession.status !== 'in_progress') {
+      return { valid: false, status: 409, error: 'Battery session is already completed' };
+    }
+
+    const game = batterySession.battery.games.find(item => item.game_type === gameType);
+    if (!game) {
+      return { valid: false, status: 400, error: `${gameType} is not part of battery ${batterySession.battery.name}` };
+    }
+
+    // A game flagged needs_review (strict evaluation) can be played again
+    const { data: submitted, error: submittedError } = await supabase
+      .from('test_sessions')
+      .select('id')
+      .eq('battery_session_id', batterySessionId)
+      .eq('game_type', gameType)
+      .eq('status', 'completed')
+      .limit(1);
+
+    if (submittedError) throw new Error(`Failed to get battery games: ${submittedError.message}`);
+
+    if (submitted && submitted.length > 0) {
+      return { valid: false, status: 409, error: `${gameType} was already submitted in this battery session` };
+    }
+
+    const { data: version, error: versionError } = await supabase
+      .from('scoring_versions')
+      .select('*')
+      .eq('id', game.scoring_version_id)
+      .single();
+
+    if (versionError) throw new Error(`Failed to get scoring version: ${versionError.message}`);
+
+    return { valid: true, version };
+  }
+
+  /**
+   * Update a battery session after one of its games was submitted:
+   * completes it and stores the composite once every game is completed
+   */
+  async recordProgress(batterySessionId) {
+    const report = await this.getReport(batterySessionId);
+    if (!report || report.status !== 'in_progress' || !report.composite) return report;
+
+    const { error } = await supabase
+      .from('battery_sessions')
+      .update({
+        status: 'completed',
+        composite: report.composite,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', batterySessionId);
+
+    if (error) throw new Error(`Failed to complete battery session: ${error.message}`);
+
+    return { ...report, status: 'completed' };
+  }
+
+  /**
+   * Battery session report: per-game progress and scores, plus the composite
+   * (null until every game is completed)
+   */
+  async getReport(batterySessionId) {
+    const { data: batterySession, error } = await supabase
+      .from('battery_sessions')
+      .select('*, battery:batteries(*)')
+      .eq('id', batterySessionId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get battery session: ${error.message}`);
+    if (!batterySession) return null;
+
+    const { data: sessions, error: sessionsError } = await supabase
+      .from('test_sessions')
+      .select('id, game_type, status, final_scores, completed_at')
+      .eq('battery_session_id', batterySessionId)
+      .order('completed_at', { ascending: true });
+
+    if (sessionsError) throw new Error(`Failed to get battery games: ${sessionsError.message}`);
+
+    const games = this.buildProgress(batterySession.battery.games, sessions || []);
+    const completed = games.filter(game => game.status === 'completed').length;
+
+    return {
+      battery_session_id: batterySession.id,
+      battery_id: batterySession.battery_id,
+      battery_name: batterySession.battery.name,
+      user_id: batterySession.user_id,
+      status: batterySession.status,
+      progress: { completed, total: games.length },
+      games: games,
+      composite: batterySession.composite || this.calculateComposite(games),
+      started_at: batterySession.created_at,
+      completed_at: batterySession.completed_at || null
+    };
+  }
+
+  /**
+   * Match the battery's games (in order) with the submitted sessions
+   * (the completed session of a game, else its latest needs_review attempt)
+   */
+  buildProgress(batteryGames, sessions) {
+    return batteryGames.map((game, index) => {
+      const attempts = sessions.filter(item => item.game_type === game.game_type);
+      const session = attempts.find(item => item.status === 'completed') || attempts[attempts.length - 1];
+
+      return {
+        order: index + 1,
+        game_type: game.game_type,
+        version_name: game.version_name,
+        weight: game.weight,
+        status: session ? session.status : 'pending',
+        session_id: session ? session.id : null,
+        final_score: session?.final_scores?.final_score ?? null,
+        completed_at: session ? session.completed_at : null
+      };
+    });
+  }
+
+  /**
+   * Composite score: weighted mean of the games' final scores
+   * @returns {object|null} - null while a game is not completed
+   */
+  calculateComposite(games) {
+    const ready = games.every(game => game.status === 'completed' && typeof game.final_score === 'number');
+    if (!ready || games.length === 0) return null;
+
+    const totalWeight = games.reduce((sum, game) => sum + game.weight, 0);
+    const contributions = {};
+    let score = 0;
+
+    for (const game of games) {
+      const contribution = game.final_score * game.weight / totalWeight;
+      contributions[game.game_type] = {
+        final_score: game.final_score,
+        weight: parseFloat((game.weight / totalWeight).toFixed(4)),
+        contribution: parseFloat(contribution.toFixed(2))
+      };
+      score += contribution;
+    }
+
+    return {
+      composite_score: parseFloat(score.toFixed(2)),
+      games: contributions
+    };
+  }
+}
+
+module.exports = new BatteryService();
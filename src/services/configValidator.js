@@ -0,0 +1,201 @@
+const inputValidator = require('./inputValidator');
+const gameRegistry = require('./gameRegistry');
+const scorePolicy = require('./scorePolicy');
+
+const WEIGHT_TOLERANCE = 0.001;
+
+const numberMap = { type: 'object', additionalProperties: { type: 'number' } };
+const textMap = { type: 'object', additionalProperties: { type: 'string', minLength: 1 } };
+
+/**
+ * Schema of a scoring version config (see DOCS/DATA_STRUCTURES.md)
+ * Unknown settings are allowed for game-specific options
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['final_weights'],
+  properties: {
+    final_weights: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0 }
+    },
+    competency_formulas: textMap,
+    derived_variables: textMap,
+    custom_variables: { type: 'object' },
+    ai_prompts: textMap,
+    competency_policies: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          min: { type: 'number' },
+          max: { type: 'number' },
+          clamp: { type: 'string', enum: ['hard', 'soft', 'none'] },
+          decimals: { type: 'integer', minimum: 0, maximum: 10 }
+        }
+      }
+    },
+    penalties: numberMap,
+    bonuses: numberMap,
+    settings: {
+      type: 'object',
+      properties: {
+        accuracy_mode: { type: 'string', enum: ['binary', 'graded'] },
+        time_limit: { type: 'number', exclusiveMinimum: 0 },
+        evaluation_mode: { type: 'string', enum: ['standard', 'strict'] },
+        on_evaluation_error: { type: 'string', enum: ['needs_review', 'reject'] },
+        flexibility_mode: { type: 'string', enum: ['errors', 'rt_cost'] },
+        weight_normalization: { type: 'string', enum: ['reject', 'normalize'] },
+        outlier_policy: {
+          type: 'object',
+          properties: {
+            min_time: { type: 'number', minimum: 0 },
+            max_time: { type: 'number', exclusiveMinimum: 0 },
+            mad_threshold: { type: 'number', exclusiveMinimum: 0 },
+            trim_percent: { type: 'number', minimum: 0, maximum: 50 }
+          }
+        },
+        norm_grouping: { type: 'string', enum: ['none', 'age_band', 'cohort'] },
+        norm_min_sample: { type: 'integer', minimum: 1 },
+        reliability: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            bootstrap_samples: { type: 'integer', minimum: 10, maximum: 1000 },
+            min_reliability: { type: 'number', minimum: 0, maximum: 1 },
+            reference_sd: { type: 'number', exclusiveMinimum: 0 }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a whole scoring configuration before it is saved
+ * Checks the structure against CONFIG_SCHEMA, then that formulas, weights
+ * and AI prompts describe the same competencies and that weights sum to 1
+ */
+class ConfigValidator {
+  getSchema() {
+    return CONFIG_SCHEMA;
+  }
+
+  /**
+   * Validate (and optionally normalize) a scoring configuration
+   * @param {string} gameType - Game type identifier
+   * @param {object} config - Scoring configuration
+   * @returns {object} - { valid, errors: [{ path, message }], warnings: [{ path, message }],
+   *                       normalized: boolean, config: config to save }
+   */
+  validateConfig(gameType, config) {
+    const errors = [];
+    const warnings = [];
+
+    inputValidator.validateValue(CONFIG_SCHEMA, config, 'config', errors);
+
+    if (!inputValidator.matchesType('object', config)) {
+      return { valid: false, errors, warnings, normalized: false, config };
+    }
+
+    for (const key of Object.keys(config)) {
+      if (!Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA.properties, key)) {
+        warnings.push({ path: `config.${key}`, message: 'is not a known config section and will be ignored' });
+      }
+    }
+
+    const weights = inputValidator.matchesType('object', config.final_weights) ? config.final_weights : {};
+    const formulas = inputValidator.matchesType('object', config.competency_formulas) ? config.competency_formulas : {};
+    const prompts = inputValidator.matchesType('object', config.ai_prompts) ? config.ai_prompts : {};
+    const game = gameRegistry.get(gameType);
+
+    // Formula-scored games: every weighted competency needs a formula and vice versa
+    if (game && game.scoringMode !== 'ai') {
+      for (const name of Object.keys(formulas)) {
+        if (weights[name] === undefined || weights[name] === null) {
+          errors.push({ path: `config.final_weights.${name}`, message: `is missing (competency ${name} has a formula but no weight)` });
+        }
+      }
+      for (const name of Object.keys(weights)) {
+        if (formulas[name] === undefined) {
+          errors.push({ path: `config.competency_formulas.${name}`, message: `is missing (competency ${name} has a weight but no formula)` });
+        }
+      }
+    }
+
+    // AI prompts must belong to weighted competencies
+    for (const name of Object.keys(prompts)) {
+      if (weights[name] === undefined) {
+        errors.push({ path: `config.ai_prompts.${name}`, message: `has no matching weight in final_weights` });
+      }
+    }
+    if (game && game.scoringMode !== 'formula') {
+      const aiCompetencies = game.aiCompetencies || Object.keys(weights);
+      for (const name of aiCompetencies) {
+        if (weights[name] !== undefined && prompts[name] === undefined) {
+          warnings.push({ path: `config.ai_prompts.${name}`, message: 'is missing; the AI evaluator gets a generic prompt' });
+        }
+      }
+    }
+
+    // Output policies must belong to weighted competencies and have min < max
+    errors.push(...scorePolicy.validatePolicies(config.competency_policies, Object.keys(weights)));
+
+    const result = this.checkWeightSum(config, weights, errors, warnings);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      normalized: result.normalized,
+      config: result.config
+    };
+  }
+
+  /**
+   * Check that final_weights sum to 1
+   * settings.weight_normalization: 'reject' (default) reports an error,
+   * 'normalize' rescales the weights proportionally
+   */
+  checkWeightSum(config, weights, errors, warnings) {
+    const values = Object.values(weights);
+    if (values.length === 0 || !values.every(value => typeof value === 'number' && isFinite(value))) {
+      if (values.length === 0) {
+        errors.push({ path: 'config.final_weights', message: 'must define at least one weight' });
+      }
+      return { normalized: false, config };
+    }
+
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (Math.abs(total - 1) <= WEIGHT_TOLERANCE) {
+      return { normalized: false, config };
+    }
+
+    const mode = config.settings?.weight_normalization || 'reject';
+    const rounded = parseFloat(total.toFixed(4));
+
+    if (mode !== 'normalize' || total <= 0) {
+      errors.push({
+        path: 'config.final_weights',
+        message: total <= 0
+          ? 'must have a positive sum'
+          : `must sum to 1 (got ${rounded}); set settings.weight_normalization to "normalize" to rescale them`
+      });
+      return { normalized: false, config };
+    }
+
+    const normalizedWeights = {};
+    for (const [name, value] of Object.entries(weights)) {
+      normalizedWeights[name] = parseFloat((value / total).toFixed(4));
+    }
+
+    warnings.push({ path: 'config.final_weights', message: `summed to ${rounded}; normalized to 1` });
+
+    return {
+      normalized: true,
+      config: { ...config, final_weights: normalizedWeights }
+    };
+  }
+}
+
+module.exports = new ConfigValidator();
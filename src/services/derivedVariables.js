@@ -0,0 +1,114 @@
+const formulaEvaluator = require('./formulaEvaluator');
+
+/**
+ * Resolve and evaluate derived (intermediate) variables
+ * Derived variables are named formulas in config.derived_variables that
+ * can reference extracted variables and other derived variables
+ */
+class DerivedVariables {
+  /**
+   * Evaluate derived variables in dependency order
+   * @param {object} derivedVariables - { name: formula } from config.derived_variables
+   * @param {object} variables - Extracted variables
+   * @param {array} diagnostics - Optional collector for evaluation failures (strict mode)
+   * @returns {object} - Extracted variables plus evaluated derived values
+   */
+  applyDerivedVariables(derivedVariables, variables, diagnostics = null) {
+    const result = { ...variables };
+    if (!derivedVariables || Object.keys(derivedVariables).length === 0) return result;
+
+    for (const name of this.resolveOrder(derivedVariables)) {
+      const failures = diagnostics ? [] : null;
+      result[name] = formulaEvaluator.evaluate(derivedVariables[name], result, failures);
+
+      if (failures) {
+        diagnostics.push(...failures.map(failure => ({ derived_variable: name, ...failure })));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Order derived variables so each one comes after its dependencies
+   * @param {object} derivedVariables - { name: formula }
+   * @returns {array} - Derived variable names in evaluation order
+   */
+  resolveOrder(derivedVariables) {
+    const order = [];
+    const state = {}; // undefined = unvisited, 'visiting', 'done'
+
+    const visit = (name, path) => {
+      if (state[name] === 'done') return;
+      if (state[name] === 'visiting') {
+        throw new Error(`Circular dependency in derived variables: ${[...path, name].join(' -> ')}`);
+      }
+
+      state[name] = 'visiting';
+      for (const dependency of this.getDependencies(derivedVariables, name)) {
+        visit(dependency, [...path, name]);
+      }
+      state[name] = 'done';
+      order.push(name);
+    };
+
+    for (const name of Object.keys(derivedVariables)) {
+      visit(name, []);
+    }
+
+    return order;
+  }
+
+  /**
+   * Get the derived variables a derived variable depends on directly
+   */
+  getDependencies(derivedVariables, name) {
+    return formulaEvaluator.getFormulaVariables(derivedVariables[name])
+      .filter(variable => Object.prototype.hasOwnProperty.call(derivedVariables, variable));
+  }
+
+  /**
+   * Validate derived variables before saving a scoring version
+   * @param {object} derivedVariables - { name: formula }
+   * @param {array} knownVariables - Variable names the extractor provides for the game
+   * @returns {array} - Error messages (empty when valid)
+   */
+  validateDerivedVariables(derivedVariables, knownVariables) {
+    const errors = [];
+    if (!derivedVariables) return errors;
+
+    if (typeof derivedVariables !== 'object' || Array.isArray(derivedVariables)) {
+      return ['derived_variables must be an object of { name: formula }'];
+    }
+
+    for (const [name, formula] of Object.entries(derivedVariables)) {
+      if (knownVariables.includes(name)) {
+        errors.push(`Derived variable ${name} conflicts with an extracted variable`);
+        continue;
+      }
+
+      const validation = formulaEvaluator.validateFormula(formula);
+      if (!validation.valid) {
+        errors.push(`Invalid formula for derived variable ${name}: ${validation.error}`);
+        continue;
+      }
+
+      for (const variable of formulaEvaluator.getFormulaVariables(formula)) {
+        const isDerived = Object.prototype.hasOwnProperty.call(derivedVariables, variable);
+        if (!isDerived && !knownVariables.includes(variable)) {
+          errors.push(`Derived variable ${name} references unknown variable ${variable}`);
+        }
+      }
+    }
+
+    try {
+      this.resolveOrder(derivedVariables);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new DerivedVariables();
@@ -0,0 +1,349 @@
+const supabase = require('../config/supabase');
+const inputValidator = require('./inputValidator');
+const gameRegistry = require('./gameRegistry');
+const statistics = require('./statistics');
+const revisionService = require('./revision.service');
+
+const BUCKETS = 10000;
+const PAGE_SIZE = 1000;
+const PERCENT_TOLERANCE = 0.001;
+
+const EXPERIMENT_SCHEMA = {
+  type: 'object',
+  required: ['game_type', 'name', 'arms'],
+  properties: {
+    game_type: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    arms: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['name', 'version', 'percent'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          version: { type: 'string', minLength: 1 },
+          percent: { type: 'number', exclusiveMinimum: 0, maximum: 100 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * A/B experiments between scoring versions
+ * A running experiment splits a game's submissions between two or more
+ * versions ("arms"). Users are assigned by hashing experiment id + user_id
+ * into 10000 buckets, so a user always lands on the same arm. Sessions record
+ * experiment_id and experiment_arm; one experiment runs per game type.
+ */
+class ExperimentService {
+
+  /**
+   * Validate an experiment definition
+   * @returns {array} - [{ path, message }]
+   */
+  validateExperiment(experiment) {
+    const errors = [];
+    inputValidator.validateValue(EXPERIMENT_SCHEMA, experiment, 'experiment', errors);
+    if (errors.length > 0) return errors;
+
+    if (!gameRegistry.has(experiment.game_type)) {
+      errors.push({ path: 'experiment.game_type', message: `unknown game type ${experiment.game_type}` });
+    }
+
+    const names = new Set();
+    const versions = new Set();
+    experiment.arms.forEach((arm, index) => {
+      if (names.has(arm.name)) {
+        errors.push({ path: `experiment.arms[${index}].name`, message: `${arm.name} appears more than once` });
+      }
+      if (versions.has(arm.version)) {
+        errors.push({ path: `experiment.arms[${index}].version`, message: `${arm.version} is already used by another arm` });
+      }
+      names.add(arm.name);
+      versions.add(arm.version);
+    });
+
+    const total = experiment.arms.reduce((sum, arm) => sum + arm.percent, 0);
+    if (Math.abs(total - 100) > PERCENT_TOLERANCE) {
+      errors.push({ path: 'experiment.arms', message: `percentages must sum to 100 (got ${parseFloat(total.toFixed(4))})` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve each arm's version; drafts, versions in review and discarded versions cannot be used
+   * @returns {object} - { arms: [{ name, scoring_version_id, version_name, percent }],
+   *                       errors: [{ path, message }] }
+   */
+  async pinArms(gameType, experimentArms) {
+    const arms = [];
+    const errors = [];
+
+    for (const [index, arm] of experimentArms.entries()) {
+      const { data: version, error } = await supabase
+        .from('scoring_versions')
+        .select('id, version_name')
+        .eq('game_type', gameType)
+        .eq('version_name', arm.version)
+        .in('status', ['approved', 'active', 'retired'])
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+
+      if (!version) {
+        errors.push({
+          path: `experiment.arms[${index}].version`,
+          message: `scoring version ${arm.version} not found for ${gameType} (or not approved)`
+        });
+        continue;
+      }
+
+      arms.push({
+        name: arm.name,
+        scoring_version_id: version.id,
+        version_name: version.version_name,
+        percent: arm.percent
+      });
+    }
+
+    return { arms, errors };
+  }
+
+  /**
+   * Start an experiment (fails while another one runs for the game type)
+   */
+  async createExperiment(experiment, arms, userId = null) {
+    const { data, error } = await supabase
+      .from('scoring_experiments')
+      .insert({
+        game_type: experiment.game_type,
+        name: experiment.name,
+        description: experiment.description || null,
+        arms: arms,
+        status: 'running',
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        const conflict = new Error(`An experiment is already running for ${experiment.game_type}`);
+        conflict.status = 409;
+        throw conflict;
+      }
+      throw new Error(`Failed to save experiment: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Stop a running experiment; submissions go back to the active version
+   * @returns {object|null} - null when it is not running
+   */
+  async stopExperiment(experimentId) {
+    const { data, error } = await supabase
+      .from('scoring_experiments')
+      .update({ status: 'stopped', stopped_at: new Date().toISOString() })
+      .eq('id', experimentId)
+      .eq('status', 'running')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to stop experiment: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Get an experiment by id (null when it does not exist)
+   */
+  async getExperiment(experimentId) {
+    const { data, error } = await supabase
+      .from('scoring_experiments')
+      .select('*')
+      .eq('id', experimentId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get experiment: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Get all experiments (optionally of one game type)
+   */
+  async getExperiments(gameType = null) {
+    let query = supabase
+      .from('scoring_experiments')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (gameType) {
+      query = query.eq('game_type', gameType);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to get experiments: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Pick the scoring version for a submission when an experiment runs
+   * @returns {object|null} - { version, experiment_id, experiment_arm }, null without a running experiment
+   */
+  async resolveVersion(gameType, userId) {
+    const { data: experiment, error } = await supabase
+      .from('scoring_experiments')
+      .select('*')
+      .eq('game_type', gameType)
+      .eq('status', 'running')
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get experiment: ${error.message}`);
+    if (!experiment) return null;
+
+    const arm = this.assignArm(experiment, userId);
+
+    const { data: version, error: versionError } = await supabase
+      .from('scoring_versions')
+      .select('*')
+      .eq('id', arm.scoring_version_id)
+      .single();
+
+    if (versionError) throw new Error(`Failed to get scoring version: ${versionError.message}`);
+
+    return {
+      version,
+      experiment_id: experiment.id,
+      experiment_arm: arm.name
+    };
+  }
+
+  /**
+   * Deterministic arm assignment: the user's bucket (0-9999) falls into the
+   * arm whose cumulative percentage range contains it
+   */
+  assignArm(experiment, userId) {
+    const bucket = statistics.hashString(`${experiment.id}:${userId}`) % BUCKETS;
+    let upper = 0;
+
+    for (const arm of experiment.arms) {
+      upper += arm.percent / 100 * BUCKETS;
+      if (bucket < upper) return arm;
+    }
+
+    return experiment.arms[experiment.arms.length - 1];
+  }
+
+  /**
+   * Score distributions per arm (completed sessions of the experiment)
+   * The first arm is the baseline for mean_difference
+   */
+  async summarize(experiment) {
+    const sessions = await this.getExperimentSessions(experiment.id);
+    const arms = {};
+
+    for (const arm of experiment.arms) {
+      const armScores = sessions
+        .filter(session => session.experiment_arm === arm.name)
+        .map(session => session.final_scores);
+
+      arms[arm.name] = {
+        version_name: arm.version_name,
+        percent: arm.percent,
+        ...this.describeScores(armScores)
+      };
+    }
+
+    const baseline = arms[experiment.arms[0].name];
+    for (const summary of Object.values(arms)) {
+      summary.mean_difference = summary.sample_size > 0 && baseline.sample_size > 0
+        ? parseFloat((summary.final_score.mean - baseline.final_score.mean).toFixed(2))
+        : null;
+    }
+
+    return {
+      experiment_id: experiment.id,
+      game_type: experiment.game_type,
+      name: experiment.name,
+      status: experiment.status,
+      baseline_arm: experiment.arms[0].name,
+      total_sessions: sessions.length,
+      arms: arms
+    };
+  }
+
+  /**
+   * Distribution of final scores and competency means for a set of sessions
+   */
+  describeScores(scoreSets) {
+    const finalScores = scoreSets
+      .map(scores => scores?.final_score)
+      .filter(value => typeof value === 'number');
+
+    const competencyValues = {};
+    for (const scores of scoreSets) {
+      for (const [name, competency] of Object.entries(scores?.competencies || {})) {
+        if (typeof competency?.raw !== 'number') continue;
+        (competencyValues[name] = competencyValues[name] || []).push(competency.raw);
+      }
+    }
+
+    const round = value => parseFloat(value.toFixed(2));
+    const competencies = {};
+    for (const [name, values] of Object.entries(competencyValues)) {
+      competencies[name] = {
+        mean: round(statistics.mean(values)),
+        std_dev: round(statistics.stdDev(values))
+      };
+    }
+
+    return {
+      sample_size: finalScores.length,
+      final_score: {
+        mean: round(statistics.mean(finalScores)),
+        std_dev: round(statistics.stdDev(finalScores)),
+        min: finalScores.length > 0 ? round(Math.min(...finalScores)) : 0,
+        p10: round(statistics.percentile(finalScores, 10)),
+        p25: round(statistics.percentile(finalScores, 25)),
+        median: round(statistics.median(finalScores)),
+        p75: round(statistics.percentile(finalScores, 75)),
+        p90: round(statistics.percentile(finalScores, 90)),
+        max: finalScores.length > 0 ? round(Math.max(...finalScores)) : 0
+      },
+      competencies: competencies
+    };
+  }
+
+  /**
+   * Load arm and final_scores of an experiment's completed sessions
+   * (the scores of the arm's version, also for sessions rescored since)
+   */
+  async getExperimentSessions(experimentId) {
+    const sessions = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('test_sessions')
+        .select('id, experiment_arm, final_scores, score_revision')
+        .eq('experiment_id', experimentId)
+        .eq('status', 'completed')
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to get sessions: ${error.message}`);
+
+      sessions.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return revisionService.withOriginalScores(sessions);
+  }
+}
+
+module.exports = new ExperimentService();
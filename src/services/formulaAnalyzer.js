@@ -0,0 +1,424 @@
+const formulaEvaluator = require('./formulaEvaluator');
+const variableExtractor = require('./variableExtractor');
+const derivedVariables = require('./derivedVariables');
+const scorePolicy = require('./scorePolicy');
+
+const UNBOUNDED = { min: -Infinity, max: Infinity };
+
+/**
+ * Static analysis of formulas against a game's variable catalog
+ * Checks variable references, flags divisions by values that can be 0
+ * and estimates the output range from the known variable bounds
+ */
+class FormulaAnalyzer {
+  /**
+   * Analyze every formula in a scoring configuration
+   * @param {string} gameType - Game type identifier
+   * @param {object} config - Scoring configuration
+   * @returns {object} - { valid, competencies: { name: analysis }, derived_variables: { name: analysis } }
+   */
+  analyzeConfig(gameType, config) {
+    const report = {
+      valid: true,
+      competencies: {},
+      derived_variables: {}
+    };
+
+    const context = this.buildContext(gameType, config);
+
+    for (const name of Object.keys(context.derivedAnalyses)) {
+      report.derived_variables[name] = context.derivedAnalyses[name];
+      if (context.derivedAnalyses[name].errors.length > 0) report.valid = false;
+    }
+
+    for (const [name, formula] of Object.entries(config.competency_formulas || {})) {
+      const analysis = this.analyzeFormula(formula, gameType, context, scorePolicy.getPolicy(config, name));
+      report.competencies[name] = analysis;
+      if (analysis.errors.length > 0) report.valid = false;
+    }
+
+    return report;
+  }
+
+  /**
+   * Analyze a single formula
+   * @param {string} formula - Formula string
+   * @param {string} gameType - Game type identifier
+   * @param {object} context - Optional context from buildContext (derived variables)
+   * @param {object} policy - Competency output policy (warns when the range exceeds it);
+   *                          null for derived variables, which are not clamped
+   * @returns {object} - { errors, warnings, variables, estimated_range }
+   */
+  analyzeFormula(formula, gameType, context = null, policy = scorePolicy.getPolicy(null, null)) {
+    const ctx = context || this.buildContext(gameType, {});
+    const errors = [];
+    const warnings = [];
+
+    const validation = formulaEvaluator.validateFormula(formula);
+    if (!validation.valid) {
+      return { errors: [validation.error], warnings, variables: [], estimated_range: null };
+    }
+
+    // Check each referenced variable exists for this game
+    const variables = formulaEvaluator.getFormulaVariables(formula);
+    for (const name of variables) {
+      if (ctx.bounds[name]) continue;
+      errors.push(this.describeUnknownVariable(name, gameType, Object.keys(ctx.bounds)));
+    }
+
+    // Walk the expression to flag risky divisions and estimate the range
+    const { range, divisions } = this.estimateRange(formula, ctx.bounds);
+
+    for (const divisor of divisions) {
+      warnings.push(`Division by ${divisor}, which can be 0 (consider safe_div)`);
+    }
+
+    if (policy && policy.clamp !== 'none' && (range.min < policy.min || range.max > policy.max)) {
+      const handling = policy.clamp === 'soft' ? 'squashed into range (soft clamp)' : 'clamped';
+      warnings.push(`Result may fall outside ${policy.min}-${policy.max} (estimated ${this.formatRange(range)}) and will be ${handling}`);
+    }
+
+    return {
+      errors,
+      warnings,
+      variables,
+      estimated_range: this.serializeRange(range)
+    };
+  }
+
+  /**
+   * Build the bounds of every variable a formula may reference, including
+   * custom rule variables and derived variables (estimated in dependency order)
+   * @param {string} gameType - Game type identifier
+   * @param {object} config - Scoring configuration (custom_variables, derived_variables)
+   */
+  buildContext(gameType, config) {
+    const bounds = {};
+    for (const [name, [min, max]] of Object.entries(variableExtractor.getVariableBounds(gameType, config))) {
+      bounds[name] = { min, max };
+    }
+
+    const derived = config?.derived_variables;
+
+    const derivedAnalyses = {};
+    if (!derived || Object.keys(derived).length === 0) {
+      return { bounds, derivedAnalyses };
+    }
+
+    let order;
+    try {
+      order = derivedVariables.resolveOrder(derived);
+    } catch (error) {
+      // Cycles are reported by derivedVariables.validateDerivedVariables
+      order = Object.keys(derived);
+    }
+
+    // Derived names are known up front so they can reference each other
+    for (const name of order) {
+      bounds[name] = UNBOUNDED;
+    }
+
+    for (const name of order) {
+      const analysis = this.analyzeFormula(derived[name], gameType, { bounds, derivedAnalyses }, null);
+      derivedAnalyses[name] = analysis;
+      bounds[name] = this.deserializeRange(analysis.estimated_range);
+    }
+
+    return { bounds, derivedAnalyses };
+  }
+
+  /**
+   * Explain why a variable is unknown, with a suggestion where possible
+   */
+  describeUnknownVariable(name, gameType, knownNames) {
+    const providers = variableExtractor.getGamesProvidingVariable(name, gameType);
+    if (providers.length > 0) {
+      return `Unknown variable ${name}: provided by ${providers.join(', ')}, not ${gameType}`;
+    }
+
+    const suggestion = this.closestName(name, knownNames);
+    return suggestion
+      ? `Unknown variable ${name} (did you mean ${suggestion}?)`
+      : `Unknown variable ${name}`;
+  }
+
+  /**
+   * Find the closest known name by edit distance (typo suggestions)
+   */
+  closestName(name, knownNames) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 4));
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const candidate of knownNames) {
+      const distance = this.editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Estimate the output range of a formula with interval arithmetic
+   * @param {string} formula - Formula string
+   * @param {object} bounds - { name: { min, max } }
+   * @returns {object} - { range: { min, max }, divisions: [divisor descriptions that can be 0] }
+   */
+  estimateRange(formula, bounds) {
+    const divisions = [];
+
+    let range;
+    try {
+      const expr = formulaEvaluator.parser.parse(formula);
+      range = this.evaluateTokens(expr.tokens, bounds, divisions);
+    } catch (error) {
+      range = UNBOUNDED;
+    }
+
+    return { range: this.toNumericRange(range), divisions: [...new Set(divisions)] };
+  }
+
+  /**
+   * Interpret expr-eval's RPN tokens over intervals instead of numbers
+   */
+  evaluateTokens(tokens, bounds, divisions) {
+    const stack = [];
+
+    for (const token of tokens) {
+      switch (token.type) {
+        case 'INUMBER':
+          stack.push(typeof token.value === 'number'
+            ? { min: token.value, max: token.value }
+            : UNBOUNDED);
+          break;
+
+        case 'IVAR':
+          if (formulaEvaluator.parser.functions[token.value]) {
+            stack.push({ fn: token.value });
+          } else {
+            stack.push({ ...(bounds[token.value] || UNBOUNDED), name: token.value });
+          }
+          break;
+
+        case 'IEXPR':
+          stack.push(this.evaluateTokens(token.value, bounds, divisions));
+          break;
+
+        case 'IARRAY': {
+          const items = stack.splice(stack.length - token.value, token.value);
+          stack.push({ items });
+          break;
+        }
+
+        case 'IOP1':
+          stack.push(this.unaryRange(token.value, stack.pop()));
+          break;
+
+        case 'IOP2': {
+          const right = stack.pop();
+          const left = stack.pop();
+          stack.push(this.binaryRange(token.value, left, right, divisions));
+          break;
+        }
+
+        case 'IOP3': {
+          const whenFalse = stack.pop();
+          const whenTrue = stack.pop();
+          stack.pop(); // condition
+          stack.push(this.union([whenTrue, whenFalse]));
+          break;
+        }
+
+        case 'IFUNCALL': {
+          const args = stack.splice(stack.length - token.value, token.value);
+          const fn = stack.pop();
+          stack.push(this.functionRange(fn && fn.fn, args));
+          break;
+        }
+
+        default:
+          stack.push(UNBOUNDED);
+      }
+    }
+
+    return stack.length > 0 ? stack[stack.length - 1] : UNBOUNDED;
+  }
+
+  unaryRange(op, x) {
+    x = this.toNumericRange(x);
+
+    switch (op) {
+      case '-':
+        return { min: -x.max, max: -x.min };
+      case '+':
+        return x;
+      case 'abs':
+        if (x.min >= 0) return x;
+        if (x.max <= 0) return { min: -x.max, max: -x.min };
+        return { min: 0, max: Math.max(-x.min, x.max) };
+      case 'sqrt':
+        return { min: Math.sqrt(Math.max(0, x.min)), max: Math.sqrt(Math.max(0, x.max)) };
+      case 'exp':
+        return { min: Math.exp(x.min), max: Math.exp(x.max) };
+      case 'round':
+      case 'floor':
+      case 'ceil':
+      case 'trunc':
+        return { min: Math[op](x.min), max: Math[op](x.max) };
+      case 'not':
+      case '!':
+      case 'sign':
+        return { min: op === 'sign' ? -1 : 0, max: 1 };
+      default:
+        return UNBOUNDED;
+    }
+  }
+
+  binaryRange(op, left, right, divisions) {
+    const a = this.toNumericRange(left);
+    const b = this.toNumericRange(right);
+
+    switch (op) {
+      case '+':
+        return { min: a.min + b.min, max: a.max + b.max };
+      case '-':
+        return { min: a.min - b.max, max: a.max - b.min };
+      case '*':
+        return this.corners(a, b, (x, y) => x * y);
+      case '/':
+        if (b.min <= 0 && b.max >= 0) {
+          divisions.push(right && right.name ? right.name : 'an expression');
+          return UNBOUNDED;
+        }
+        return this.corners(a, b, (x, y) => x / y);
+      case '^':
+        if (a.min >= 0 && b.min === b.max) {
+          return this.corners(a, b, (x, y) => Math.pow(x, y));
+        }
+        return UNBOUNDED;
+      case '==':
+      case '!=':
+      case '<':
+      case '>':
+      case '<=':
+      case '>=':
+      case 'and':
+      case 'or':
+        return { min: 0, max: 1 };
+      default:
+        return UNBOUNDED;
+    }
+  }
+
+  functionRange(name, args) {
+    const ranges = args.map(arg => this.toNumericRange(arg));
+
+    switch (name) {
+      case 'min':
+        return { min: Math.min(...ranges.map(r => r.min)), max: Math.min(...ranges.map(r => r.max)) };
+      case 'max':
+        return { min: Math.max(...ranges.map(r => r.min)), max: Math.max(...ranges.map(r => r.max)) };
+      case 'clamp': {
+        const [x, lo, hi] = ranges;
+        return {
+          min: Math.max(lo.min, Math.min(hi.min, x.min)),
+          max: Math.max(lo.max, Math.min(hi.max, x.max))
+        };
+      }
+      case 'sigmoid':
+        return { min: 0, max: 1 };
+      case 'logistic':
+        return ranges[1] && ranges[1].min >= 0 ? { min: 0, max: ranges[1].max } : UNBOUNDED;
+      case 'percentile_of':
+        return { min: 0, max: 100 };
+      case 'round_to':
+        return ranges[0] || UNBOUNDED;
+      case 'lerp': {
+        const [a, b, t] = ranges;
+        if (t.min >= 0 && t.max <= 1) return this.union([a, b]);
+        return UNBOUNDED;
+      }
+      case 'band':
+        return args[2] && args[2].items ? this.union(args[2].items) : UNBOUNDED;
+      case 'lookup': {
+        if (!args[2] || !args[2].items) return UNBOUNDED;
+        const fallback = args[3] || { min: 0, max: 0 };
+        return this.union([...args[2].items, fallback]);
+      }
+      case 'safe_div': {
+        const [a, b] = ranges;
+        if (b.min > 0 || b.max < 0) return this.corners(a, b, (x, y) => x / y);
+        return UNBOUNDED;
+      }
+      default:
+        return UNBOUNDED;
+    }
+  }
+
+  corners(a, b, op) {
+    const values = [op(a.min, b.min), op(a.min, b.max), op(a.max, b.min), op(a.max, b.max)]
+      .map(value => (isNaN(value) ? 0 : value)); // 0 * Infinity
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }
+
+  union(ranges) {
+    const numeric = ranges.map(range => this.toNumericRange(range));
+    return {
+      min: Math.min(...numeric.map(r => r.min)),
+      max: Math.max(...numeric.map(r => r.max))
+    };
+  }
+
+  toNumericRange(value) {
+    if (!value || typeof value.min !== 'number' || typeof value.max !== 'number') return UNBOUNDED;
+    return { min: value.min, max: value.max };
+  }
+
+  /**
+   * JSON-friendly range: null stands for unbounded
+   */
+  serializeRange(range) {
+    return {
+      min: isFinite(range.min) ? range.min : null,
+      max: isFinite(range.max) ? range.max : null
+    };
+  }
+
+  deserializeRange(range) {
+    if (!range) return UNBOUNDED;
+    return {
+      min: range.min === null ? -Infinity : range.min,
+      max: range.max === null ? Infinity : range.max
+    };
+  }
+
+  formatRange(range) {
+    const format = value => (isFinite(value) ? String(Math.round(value * 100) / 100) : (value > 0 ? '∞' : '-∞'));
+    return `[${format(range.min)}, ${format(range.max)}]`;
+  }
+}
+
+module.exports = new FormulaAnalyzer();
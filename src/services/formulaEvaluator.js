@@ -1,33 +1,69 @@
 const { Parser } = require('expr-eval');
+const { FORMULA_FUNCTIONS } = require('./formulaFunctions');
 
 class FormulaEvaluator {
   constructor() {
     this.parser = new Parser();
+
+    // Register the psychometric function library
+    for (const [name, definition] of Object.entries(FORMULA_FUNCTIONS)) {
+      this.parser.functions[name] = definition.fn;
+    }
   }
 
   /**
    * Evaluate a formula string with given variables
    * @param {string} formula - Formula string like "(correct / total) * 100"
    * @param {object} variables - Variables to substitute like { correct: 9, total: 10 }
-   * @returns {number} - Calculated result
+   * @param {array} diagnostics - Optional collector; failures are pushed here (strict mode)
+   * @returns {number} - Calculated result (0 when evaluation fails)
    */
-  evaluate(formula, variables) {
+  evaluate(formula, variables, diagnostics = null) {
+    const report = (diagnostic) => {
+      if (diagnostics) diagnostics.push({ formula, ...diagnostic });
+    };
+
+    // Handle null or undefined formulas
+    if (!formula || typeof formula !== 'string') {
+      console.warn('Invalid formula provided:', formula);
+      report({ type: 'invalid_formula', message: 'Formula must be a non-empty string' });
+      return 0;
+    }
+
+    // Parse the formula
+    let expr;
     try {
-      // Handle null or undefined formulas
-      if (!formula || typeof formula !== 'string') {
-        console.warn('Invalid formula provided:', formula);
-        return 0;
-      }
+      expr = this.parser.parse(formula);
+    } catch (error) {
+      console.error(`Error parsing formula "${formula}":`, error.message);
+      report({ type: 'parse_error', message: error.message });
+      return 0;
+    }
 
-      // Parse the formula
-      const expr = this.parser.parse(formula);
-      
+    // Check every referenced variable is present
+    const missing = expr.variables().filter(name => (variables || {})[name] === undefined);
+    if (missing.length > 0) {
+      console.error(`Formula "${formula}" is missing variables:`, missing);
+      report({
+        type: 'missing_variables',
+        message: `Missing variables: ${missing.join(', ')}`,
+        missing_variables: missing
+      });
+      return 0;
+    }
+
+    try {
       // Evaluate with variables
       const result = expr.evaluate(variables);
       
       // Ensure result is a number
       if (isNaN(result) || !isFinite(result)) {
         console.warn(`Formula "${formula}" produced invalid result: ${result}`);
+        report({
+          type: 'non_finite_result',
+          message: `Formula produced ${result}`,
+          result: String(result)
+        });
         return 0;
       }
       
@@ -35,10 +71,44 @@ class FormulaEvaluator {
     } catch (error) {
       console.error(`Error evaluating formula "${formula}":`, error.message);
       console.error('Variables:', variables);
+      report({ type: 'evaluation_error', message: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Evaluate a formula without logging (0 when evaluation fails, like evaluate)
+   * Used where formulas are re-run many times, e.g. sensitivity analysis
+   */
+  compute(formula, variables) {
+    try {
+      const expr = this.parser.parse(formula);
+      if (expr.variables().some(name => (variables || {})[name] === undefined)) return 0;
+
+      const result = expr.evaluate(variables);
+      return typeof result === 'number' && isFinite(result) ? result : 0;
+    } catch (error) {
       return 0;
     }
   }
 
+  /**
+   * Show a formula with its variables replaced by their values
+   * e.g. "(correct / total) * 100" -> "(9 / 10) * 100"
+   * @param {string} formula - Formula string
+   * @param {object} variables - Variable values
+   * @returns {string} - Formula with values substituted
+   */
+  substitute(formula, variables) {
+    const names = new Set(this.getFormulaVariables(formula));
+
+    return formula.replace(/[A-Za-z_$][\w$]*/g, (name, offset) => {
+      const value = (variables || {})[name];
+      if (!names.has(name) || formula[offset - 1] === '.' || value === undefined) return name;
+      return typeof value === 'number' ? String(parseFloat(value.toFixed(4))) : JSON.stringify(value);
+    });
+  }
+
   /**
    * Validate if a formula is syntactically correct
    * @param {string} formula - Formula string to validate
@@ -73,6 +143,20 @@ class FormulaEvaluator {
     }
   }
 
+  /**
+   * Get the functions available to formulas
+   * Returns function names with signatures and descriptions
+   */
+  getAvailableFunctions() {
+    const functions = {};
+
+    for (const [name, { signature, description, example }] of Object.entries(FORMULA_FUNCTIONS)) {
+      functions[name] = { signature, description, example };
+    }
+
+    return functions;
+  }
+
   /**
    * Test a formula with sample data
    * @param {string} formula - Formula to test
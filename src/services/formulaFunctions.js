@@ -0,0 +1,99 @@
+/**
+ * Psychometric function library for the formula engine
+ * Every function here is registered on the FormulaEvaluator parser,
+ * so it can be called from any competency formula
+ */
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * (Abramowitz & Stegun 26.2.17 approximation, error < 7.5e-8)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp(-z * z / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+
+const FORMULA_FUNCTIONS = {
+  clamp: {
+    signature: 'clamp(x, min, max)',
+    description: 'Limit x to the range [min, max]',
+    example: 'clamp(accuracy_percent - incorrect * 5, 0, 100)',
+    fn: (x, min, max) => Math.max(min, Math.min(max, x))
+  },
+  lerp: {
+    signature: 'lerp(a, b, t)',
+    description: 'Linear interpolation between a and b (t = 0 gives a, t = 1 gives b)',
+    example: 'lerp(0, 100, correct / total)',
+    fn: (a, b, t) => a + (b - a) * t
+  },
+  sigmoid: {
+    signature: 'sigmoid(x, k = 1, x0 = 0)',
+    description: 'S-curve between 0 and 1 with steepness k, centred on x0',
+    example: 'sigmoid(avg_time, -2, 3) * 100',
+    fn: (x, k = 1, x0 = 0) => 1 / (1 + Math.exp(-k * (x - x0)))
+  },
+  logistic: {
+    signature: 'logistic(x, max, k, x0)',
+    description: 'Logistic curve between 0 and max with steepness k, centred on x0',
+    example: 'logistic(correct, 100, 0.5, total / 2)',
+    fn: (x, max, k, x0) => max / (1 + Math.exp(-k * (x - x0)))
+  },
+  zscore: {
+    signature: 'zscore(x, mean, sd)',
+    description: 'Standard score of x against a reference mean and standard deviation (0 when sd is 0)',
+    example: 'zscore(avg_time, 2.5, 0.8)',
+    fn: (x, mean, sd) => (sd ? (x - mean) / sd : 0)
+  },
+  percentile_of: {
+    signature: 'percentile_of(x, mean, sd) | percentile_of(x, [values])',
+    description: 'Percentile (0-100) of x under a normal distribution, or within a list of reference values',
+    example: 'percentile_of(accuracy_percent, 72, 12)',
+    fn: (x, meanOrValues, sd) => {
+      if (Array.isArray(meanOrValues)) {
+        if (meanOrValues.length === 0) return 0;
+        const below = meanOrValues.filter(value => value < x).length;
+        const equal = meanOrValues.filter(value => value === x).length;
+        return ((below + equal / 2) / meanOrValues.length) * 100;
+      }
+      if (!sd) return x >= meanOrValues ? 100 : 0;
+      return normalCdf((x - meanOrValues) / sd) * 100;
+    }
+  },
+  band: {
+    signature: 'band(x, [thresholds], [values])',
+    description: 'Step function: returns values[i] where i is the number of ascending thresholds that x has reached',
+    example: 'band(avg_time, [1, 2, 4], [100, 80, 50, 20])',
+    fn: (x, thresholds, values) => {
+      const index = thresholds.filter(threshold => x >= threshold).length;
+      return values[Math.min(index, values.length - 1)];
+    }
+  },
+  lookup: {
+    signature: 'lookup(key, [keys], [values], fallback = 0)',
+    description: 'Returns the value paired with key, or fallback when key is not listed',
+    example: 'lookup(difficulty_multiplier, [1, 1.5, 2], [60, 80, 100])',
+    fn: (key, keys, values, fallback = 0) => {
+      const index = keys.indexOf(key);
+      return index >= 0 && index < values.length ? values[index] : fallback;
+    }
+  },
+  safe_div: {
+    signature: 'safe_div(a, b, fallback = 0)',
+    description: 'Divides a by b, returning fallback instead of Infinity/NaN when b is 0',
+    example: 'safe_div(correct_pairs, total_pairs) * 100',
+    fn: (a, b, fallback = 0) => (b ? a / b : fallback)
+  },
+  round_to: {
+    signature: 'round_to(x, decimals = 0)',
+    description: 'Rounds x to the given number of decimal places',
+    example: 'round_to(accuracy_percent, 1)',
+    fn: (x, decimals = 0) => {
+      const factor = Math.pow(10, decimals);
+      return Math.round(x * factor) / factor;
+    }
+  }
+};
+
+module.exports = { FORMULA_FUNCTIONS, normalCdf };
@@ -0,0 +1,120 @@
+/**
+ * Game Type Registry
+ * Every game type is one module in src/games declaring:
+ * - type, name
+ * - scoringMode: 'formula' (calculated), 'ai' (AI-scored) or 'hybrid' (both)
+ * - inputField: 'raw_data' or 'response_data'
+ * - inputSchema: input contract (see inputValidator)
+ * - variables: { name: { description, bounds } } catalog for formulas
+ * - extractVariables(variables, rawData, config) (optional)
+ * - calculate(rawData, config, aiScores) hardcoded calculator (optional)
+ * - buildPrompt(responseData) game section of the AI prompt (optional)
+ * - aiCompetencies: competencies scored by AI (defaults to all weighted ones)
+ */
+
+const GAMES = [
+  require('../games/mentalMathSprint'),
+  require('../games/stroopTest'),
+  require('../games/signSudoku'),
+  require('../games/faceNameMatch'),
+  require('../games/cardFlipChallenge'),
+  require('../games/luckyFlip'),
+  require('../games/vocabChallenge'),
+  require('../games/scenarioChallenge'),
+  require('../games/aiDebate'),
+  require('../games/statementReasoning'),
+  require('../games/creativeUses')
+];
+
+const SCORING_MODES = ['formula', 'ai', 'hybrid'];
+
+class GameRegistry {
+  constructor() {
+    this.games = new Map();
+    GAMES.forEach(game => this.register(game));
+  }
+
+  /**
+   * Register a game type module
+   */
+  register(game) {
+    if (!game || !game.type) {
+      throw new Error('Game module must declare a type');
+    }
+    if (!SCORING_MODES.includes(game.scoringMode)) {
+      throw new Error(`Game ${game.type} has invalid scoringMode: ${game.scoringMode}`);
+    }
+    if (game.scoringMode !== 'formula' && typeof game.buildPrompt !== 'function') {
+      throw new Error(`Game ${game.type} is AI-scored but has no buildPrompt`);
+    }
+    this.games.set(game.type, game);
+  }
+
+  /**
+   * Get a game module (null for unknown game types)
+   */
+  get(gameType) {
+    return this.games.get(gameType) || null;
+  }
+
+  has(gameType) {
+    return this.games.has(gameType);
+  }
+
+  list() {
+    return [...this.games.values()];
+  }
+
+  getTypes() {
+    return [...this.games.keys()];
+  }
+
+  /**
+   * Whether the game is (partly) scored by the AI service
+   */
+  supportsAIScoring(gameType) {
+    const game = this.get(gameType);
+    return !!game && game.scoringMode !== 'formula';
+  }
+
+  /**
+   * Whether the game has a variable extractor for formula scoring
+   */
+  supportsFormulaScoring(gameType) {
+    const game = this.get(gameType);
+    return !!game && typeof game.extractVariables === 'function';
+  }
+
+  /**
+   * Whether the game's input is an array of trials, the raw_data the common
+   * count and timing variables are extracted from
+   */
+  hasTrialInput(gameType) {
+    return this.get(gameType)?.inputSchema?.type === 'array';
+  }
+
+  /**
+   * Competencies the AI service should score for a game
+   */
+  getAICompetencies(gameType, config) {
+    const game = this.get(gameType);
+    return game?.aiCompetencies || Object.keys(config?.final_weights || {});
+  }
+
+  /**
+   * Public summary of a registered game
+   */
+  describe(game) {
+    return {
+      type: game.type,
+      name: game.name,
+      scoring_mode: game.scoringMode,
+      input_field: game.inputField,
+      supports_ai_scoring: game.scoringMode !== 'formula',
+      supports_formula_scoring: typeof game.extractVariables === 'function',
+      variables: Object.keys(game.variables || {})
+    };
+  }
+}
+
+module.exports = new GameRegistry();
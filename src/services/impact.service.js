@@ -0,0 +1,177 @@
+const supabase = require('../config/supabase');
+const scoringService = require('./scoring.service');
+const shadowService = require('./shadow.service');
+const rescoreService = require('./rescore.service');
+const experimentService = require('./experiment.service');
+const statistics = require('./statistics');
+
+const DEFAULT_SESSIONS = 200;
+const MAX_SESSIONS = 1000;
+const DEFAULT_THRESHOLD = 5;
+const BATCH_SIZE = 25;
+// Session ids per receipts query, like rescore batches (keeps the query string short)
+const RECEIPT_CHUNK_SIZE = 100;
+const IMPACT_STATUSES = ['completed', 'needs_review'];
+
+/**
+ * Impact analysis
+ * Scores the receipts of a game's most recent sessions with both the active
+ * version and a candidate config, so reviewers see how the candidate would
+ * move real scores before it is activated. Both sides are recomputed from
+ * the receipts (AI-scored sessions reuse their stored AI scores), so sessions
+ * scored by older versions compare like for like. Nothing is stored.
+ * Sessions are scored like shadow versions (no bootstrap, trace or logging)
+ * in batches that yield to the event loop.
+ */
+class ImpactService {
+
+  /**
+   * @param {object} candidate - Candidate config
+   * @param {object} options - { limit, threshold } (sessions, points)
+   * @returns {object} - { report } or { status, error }
+   */
+  async analyze(gameType, candidate, options = {}) {
+    const limit = options.limit ?? DEFAULT_SESSIONS;
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSIONS) {
+      return { status: 400, error: `limit must be an integer between 1 and ${MAX_SESSIONS}` };
+    }
+    if (typeof threshold !== 'number' || !(threshold >= 0)) {
+      return { status: 400, error: 'threshold must be a non-negative number' };
+    }
+
+    let active;
+    try {
+      active = await scoringService.getActiveVersion(gameType);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      return { status: 404, error: `${gameType} has no active version to compare against` };
+    }
+
+    const { data: sessions, error } = await supabase
+      .from('test_sessions')
+      .select('id, final_scores')
+      .eq('game_type', gameType)
+      .in('status', IMPACT_STATUSES)
+      .order('completed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to get sessions: ${error.message}`);
+
+    const receipts = {};
+    for (let start = 0; start < (sessions || []).length; start += RECEIPT_CHUNK_SIZE) {
+      const ids = sessions.slice(start, start + RECEIPT_CHUNK_SIZE).map(session => session.id);
+      Object.assign(receipts, await rescoreService.getReceipts(ids));
+    }
+
+    const pairs = [];
+    const failures = [];
+
+    for (const [index, session] of (sessions || []).entries()) {
+      // Scoring is synchronous: let other requests through between batches
+      if (index > 0 && index % BATCH_SIZE === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      try {
+        const receipt = receipts[session.id];
+        if (!receipt) throw new Error('No stored receipt');
+
+        const aiScores = receipt.raw_data === undefined ? session.final_scores?.ai_scores : null;
+        if (receipt.raw_data === undefined && !aiScores) throw new Error('No stored AI scores');
+
+        const inputData = receipt.raw_data !== undefined ? receipt.raw_data : receipt.response_data;
+
+        pairs.push({
+          session_id: session.id,
+          active: shadowService.calculate(gameType, active.config, inputData, aiScores),
+          candidate: shadowService.calculate(gameType, candidate, inputData, aiScores)
+        });
+      } catch (error) {
+        failures.push({ session_id: session.id, error: error.message });
+      }
+    }
+
+    const report = {
+      game_type: gameType,
+      active_version: active.version_name,
+      sessions: pairs.length,
+      failures: failures,
+      threshold: threshold,
+      distributions: {
+        active: experimentService.describeScores(pairs.map(pair => pair.active)),
+        candidate: experimentService.describeScores(pairs.map(pair => pair.candidate))
+      },
+      ...this.compare(pairs, threshold)
+    };
+
+    return { report };
+  }
+
+  /**
+   * Final score and per-competency changes (candidate - active); competencies
+   * are listed by mean absolute change, largest first
+   */
+  compare(pairs, threshold) {
+    const round = value => parseFloat(value.toFixed(4));
+
+    const describe = (activeValues, candidateValues) => {
+      const differences = candidateValues.map((value, index) => value - activeValues[index]);
+      const moved = differences.filter(difference => Math.abs(difference) > threshold).length;
+
+      return {
+        sample_size: differences.length,
+        mean_difference: round(statistics.mean(differences)),
+        mean_absolute_difference: round(statistics.mean(differences.map(Math.abs))),
+        max_absolute_difference: round(differences.reduce((max, value) => Math.max(max, Math.abs(value)), 0)),
+        moved: moved,
+        moved_share: differences.length > 0 ? round(moved / differences.length) : 0,
+        rank_correlation: round(statistics.rankCorrelation(activeValues, candidateValues))
+      };
+    };
+
+    const finalPairs = pairs.filter(pair =>
+      typeof pair.active.final_score === 'number' && typeof pair.candidate.final_score === 'number');
+
+    const names = new Set();
+    pairs.forEach(pair => {
+      Object.keys(pair.active.competencies || {}).forEach(name => names.add(name));
+      Object.keys(pair.candidate.competencies || {}).forEach(name => names.add(name));
+    });
+
+    const competencies = [];
+    for (const name of names) {
+      const both = pairs
+        .map(pair => [pair.active.competencies?.[name]?.raw, pair.candidate.competencies?.[name]?.raw])
+        .filter(([activeValue, candidateValue]) =>
+          typeof activeValue === 'number' && typeof candidateValue === 'number');
+
+      // Competencies added or removed by the candidate have nothing to pair
+      if (both.length === 0) {
+        competencies.push({
+          competency: name,
+          only_in: pairs.some(pair => pair.active.competencies?.[name]) ? 'active' : 'candidate'
+        });
+        continue;
+      }
+
+      competencies.push({
+        competency: name,
+        ...describe(both.map(([value]) => value), both.map(([, value]) => value))
+      });
+    }
+
+    competencies.sort((a, b) => (b.mean_absolute_difference ?? -1) - (a.mean_absolute_difference ?? -1));
+
+    return {
+      final_score: describe(
+        finalPairs.map(pair => pair.active.final_score),
+        finalPairs.map(pair => pair.candidate.final_score)
+      ),
+      competencies: competencies
+    };
+  }
+}
+
+module.exports = new ImpactService();
@@ -0,0 +1,141 @@
+const gameRegistry = require('./gameRegistry');
+
+/**
+ * Validate game submissions against the per-game input contracts
+ * (the inputSchema of each game module in src/games)
+ * Supports this JSON Schema subset:
+ * type, required, properties, additionalProperties, items, enum, anyOf,
+ * minimum, exclusiveMinimum, maximum, minItems, minLength
+ */
+class InputValidator {
+  /**
+   * Get the input schema for a game type (null when none is defined)
+   */
+  getSchema(gameType) {
+    return gameRegistry.get(gameType)?.inputSchema || null;
+  }
+
+  /**
+   * Get the input schemas for every game type
+   */
+  getSchemas() {
+    const schemas = {};
+    for (const game of gameRegistry.list()) {
+      if (game.inputSchema) schemas[game.type] = game.inputSchema;
+    }
+    return schemas;
+  }
+
+  /**
+   * Validate submitted game data
+   * @param {string} gameType - Game type identifier
+   * @param {*} data - raw_data or response_data
+   * @param {string} rootPath - Name of the field being validated (for error paths)
+   * @returns {object} - { valid: boolean, errors: [{ path, message }] }
+   */
+  validate(gameType, data, rootPath = 'raw_data') {
+    const schema = this.getSchema(gameType);
+    if (!schema) return { valid: true, errors: [] };
+
+    const errors = [];
+    this.validateValue(schema, data, rootPath, errors);
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  validateValue(schema, value, path, errors) {
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      errors.push({ path, message: `must be ${this.describeType(schema.type)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters` });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.validateValue(schema.items, item, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (this.matchesType('object', value)) {
+      for (const field of schema.required || []) {
+        if (value[field] === undefined || value[field] === null) {
+          errors.push({ path: `${path}.${field}`, message: 'is required' });
+        }
+      }
+
+      for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+        if (value[field] !== undefined && value[field] !== null) {
+          this.validateValue(fieldSchema, value[field], `${path}.${field}`, errors);
+        }
+      }
+
+      if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+        for (const [field, fieldValue] of Object.entries(value)) {
+          if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, field)) continue;
+
+          if (schema.additionalProperties === false) {
+            errors.push({ path: `${path}.${field}`, message: 'is not allowed' });
+          } else if (fieldValue !== undefined && fieldValue !== null) {
+            this.validateValue(schema.additionalProperties, fieldValue, `${path}.${field}`, errors);
+          }
+        }
+      }
+
+      if (schema.anyOf && !schema.anyOf.some(option => this.satisfiesRequired(option, value))) {
+        const options = schema.anyOf.map(option => (option.required || []).join(' + ')).join(' or ');
+        errors.push({ path, message: `must include ${options}` });
+      }
+    }
+  }
+
+  satisfiesRequired(option, value) {
+    return (option.required || []).every(field => value[field] !== undefined && value[field] !== null);
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'string':
+        return typeof value === 'string';
+      case 'boolean':
+        return typeof value === 'boolean';
+      default:
+        return true;
+    }
+  }
+
+  describeType(type) {
+    return ['array', 'integer', 'object'].includes(type) ? `an ${type}` : `a ${type}`;
+  }
+}
+
+module.exports = new InputValidator();
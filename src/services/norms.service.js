@@ -0,0 +1,295 @@
+const supabase = require('../config/supabase');
+const statistics = require('./statistics');
+const revisionService = require('./revision.service');
+
+const NORM_GROUPINGS = ['none', 'age_band', 'cohort'];
+const DEFAULT_MIN_SAMPLE = 30;
+const PAGE_SIZE = 1000;
+
+/**
+ * Population Norms Service
+ * Builds norm tables per scoring version from completed test_sessions and
+ * reports where a new score falls (percentile and z-score) against them.
+ *
+ * One score_norms row per version and group:
+ * - 'all' (every completed session)
+ * - 'age_band:<band>' and 'cohort:<cohort>' (sessions that recorded one)
+ * Each row holds { metric: { mean, std_dev, quantiles } } for final_score
+ * and every competency; quantiles are the 0th..100th percentiles.
+ */
+class NormsService {
+
+  /**
+   * Recompute the norm tables of one scoring version
+   * @returns {object} - { scoring_version_id, game_type, groups: { group_key: sample_size } }
+   */
+  async recomputeNorms(versionId) {
+    const { data: version, error: versionError } = await supabase
+      .from('scoring_versions')
+      .select('id, game_type, version_name')
+      .eq('id', versionId)
+      .single();
+
+    if (versionError) throw new Error(`Failed to get scoring version: ${versionError.message}`);
+
+    const sessions = await this.getCompletedSessions(versionId);
+    const groups = this.groupSessions(sessions);
+    const computedAt = new Date().toISOString();
+
+    const rows = Object.entries(groups).map(([groupKey, groupScores]) => ({
+      group_key: groupKey,
+      sample_size: groupScores.length,
+      metrics: this.buildNormTable(groupScores),
+      computed_at: computedAt
+    }));
+
+    // Replace the version's norms in one transaction so groups without
+    // sessions disappear and a failure keeps the previous norms
+    const { error: saveError } = await supabase
+      .rpc('replace_score_norms', {
+        p_scoring_version_id: version.id,
+        p_rows: rows
+      });
+
+    if (saveError) throw new Error(`Failed to save norms: ${saveError.message}`);
+
+    const summary = {};
+    rows.forEach(row => { summary[row.group_key] = row.sample_size; });
+
+    return {
+      scoring_version_id: version.id,
+      game_type: version.game_type,
+      version_name: version.version_name,
+      groups: summary
+    };
+  }
+
+  /**
+   * Recompute norms for every scoring version (optionally of one game type)
+   */
+  async recomputeAll(gameType = null) {
+    let query = supabase
+      .from('scoring_versions')
+      .select('id');
+
+    if (gameType) {
+      query = query.eq('game_type', gameType);
+    }
+
+    const { data: versions, error } = await query;
+
+    if (error) throw new Error(`Failed to get scoring versions: ${error.message}`);
+
+    const results = [];
+    for (const version of versions || []) {
+      results.push(await this.recomputeNorms(version.id));
+    }
+    return results;
+  }
+
+  /**
+   * Load final_scores and grouping fields of a version's completed sessions
+   * (the scores this version gave, also for sessions rescored since)
+   */
+  async getCompletedSessions(versionId) {
+    const sessions = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('test_sessions')
+        .select('id, final_scores, score_revision, age_band, cohort')
+        .eq('scoring_version_id', versionId)
+        .eq('status', 'completed')
+        .not('final_scores', 'is', null)
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to get sessions: ${error.message}`);
+
+      sessions.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return revisionService.withOriginalScores(sessions);
+  }
+
+  /**
+   * Split sessions into norm groups: { group_key: [final_scores] }
+   */
+  groupSessions(sessions) {
+    const groups = {};
+    const add = (groupKey, scores) => {
+      (groups[groupKey] = groups[groupKey] || []).push(scores);
+    };
+
+    for (const session of sessions) {
+      if (!session.final_scores) continue;
+
+      add('all', session.final_scores);
+      if (session.age_band) add(this.getGroupKey('age_band', session.age_band), session.final_scores);
+      if (session.cohort) add(this.getGroupKey('cohort', session.cohort), session.final_scores);
+    }
+
+    return groups;
+  }
+
+  getGroupKey(grouping, value) {
+    return grouping === 'none' || !value ? 'all' : `${grouping}:${value}`;
+  }
+
+  /**
+   * Build the norm table for a set of final_scores
+   * @returns {object} - { final_score: { mean, std_dev, quantiles }, competency: {...} }
+   */
+  buildNormTable(scoreSets) {
+    const values = { final_score: [] };
+
+    for (const scores of scoreSets) {
+      if (typeof scores.final_score === 'number') {
+        values.final_score.push(scores.final_score);
+      }
+      for (const [name, competency] of Object.entries(scores.competencies || {})) {
+        if (name === 'final_score' || typeof competency?.raw !== 'number') continue;
+        (values[name] = values[name] || []).push(competency.raw);
+      }
+    }
+
+    const table = {};
+    for (const [metric, metricValues] of Object.entries(values)) {
+      if (metricValues.length === 0) continue;
+
+      const quantiles = [];
+      for (let p = 0; p <= 100; p++) {
+        quantiles.push(parseFloat(statistics.percentile(metricValues, p).toFixed(4)));
+      }
+
+      table[metric] = {
+        sample_size: metricValues.length,
+        mean: parseFloat(statistics.mean(metricValues).toFixed(4)),
+        std_dev: parseFloat(statistics.stdDev(metricValues).toFixed(4)),
+        quantiles: quantiles
+      };
+    }
+
+    return table;
+  }
+
+  /**
+   * Get the stored norm tables of a scoring version
+   */
+  async getNorms(versionId) {
+    const { data, error } = await supabase
+      .from('score_norms')
+      .select('*')
+      .eq('scoring_version_id', versionId)
+      .order('group_key', { ascending: true });
+
+    if (error) throw new Error(`Failed to get norms: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Pick the norm table for a submission
+   * Uses the configured group (settings.norm_grouping) when it has at least
+   * settings.norm_min_sample sessions, otherwise the whole population
+   * @param {object} version - Scoring version row ({ id, config })
+   * @param {object} profile - { age_band, cohort } of the submission
+   */
+  async findNorms(version, profile = {}) {
+    const settings = version.config?.settings || {};
+    const grouping = NORM_GROUPINGS.includes(settings.norm_grouping) ? settings.norm_grouping : 'none';
+    const minSample = settings.norm_min_sample ?? DEFAULT_MIN_SAMPLE;
+
+    const candidates = [...new Set([this.getGroupKey(grouping, profile[grouping]), 'all'])];
+
+    const { data, error } = await supabase
+      .from('score_norms')
+      .select('*')
+      .eq('scoring_version_id', version.id)
+      .in('group_key', candidates);
+
+    if (error) throw new Error(`Failed to get norms: ${error.message}`);
+
+    for (const groupKey of candidates) {
+      const norms = (data || []).find(row => row.group_key === groupKey);
+      if (norms && norms.sample_size >= minSample) return norms;
+    }
+    return null;
+  }
+
+  /**
+   * Add percentile and z-score to final_scores (and each competency)
+   * Norms are informational: a lookup failure leaves them null instead of
+   * failing the submission
+   */
+  async annotateScores(version, scores, profile = {}) {
+    let norms = null;
+    try {
+      norms = await this.findNorms(version, profile);
+    } catch (error) {
+      console.error('Error loading norms:', error);
+    }
+    return this.applyNorms(scores, norms);
+  }
+
+  /**
+   * Apply a norm table row to final_scores (mutates and returns scores)
+   */
+  applyNorms(scores, norms) {
+    const metrics = norms?.metrics || {};
+
+    const finalPosition = this.compare(metrics.final_score, scores.final_score);
+    scores.percentile = finalPosition.percentile;
+    scores.z_score = finalPosition.z_score;
+
+    for (const [name, competency] of Object.entries(scores.competencies || {})) {
+      const position = this.compare(metrics[name], competency.raw);
+      competency.percentile = position.percentile;
+      competency.z_score = position.z_score;
+    }
+
+    scores.norm_group = norms
+      ? { group_key: norms.group_key, sample_size: norms.sample_size, computed_at: norms.computed_at }
+      : null;
+
+    return scores;
+  }
+
+  /**
+   * Position of a value against one metric's norms
+   */
+  compare(metric, value) {
+    if (!metric || typeof value !== 'number' || !isFinite(value)) {
+      return { percentile: null, z_score: null };
+    }
+
+    return {
+      percentile: parseFloat(this.percentileRank(metric.quantiles, value).toFixed(1)),
+      z_score: metric.std_dev > 0 ? parseFloat(((value - metric.mean) / metric.std_dev).toFixed(2)) : 0
+    };
+  }
+
+  /**
+   * Percentile rank (0-100) of a value within the 0th..100th percentile points
+   * Interpolates between points; ties take the middle of the tied range
+   */
+  percentileRank(quantiles, value) {
+    const last = quantiles.length - 1;
+    if (last < 1) return 50;
+    if (value < quantiles[0]) return 0;
+    if (value > quantiles[last]) return 100;
+
+    const first = quantiles.findIndex(q => q >= value);
+    if (quantiles[first] === value) {
+      let end = first;
+      while (end < last && quantiles[end + 1] === value) end++;
+      return ((first + end) / 2) * (100 / last);
+    }
+
+    const lower = first - 1;
+    const fraction = (value - quantiles[lower]) / (quantiles[first] - quantiles[lower]);
+    return (lower + fraction) * (100 / last);
+  }
+}
+
+module.exports = new NormsService();
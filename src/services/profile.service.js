@@ -0,0 +1,196 @@
+const supabase = require('../config/supabase');
+const inputValidator = require('./inputValidator');
+const gameRegistry = require('./gameRegistry');
+const defaultMapping = require('../config/competencyProfile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAPPING_SCHEMA = {
+  type: 'object',
+  required: ['competencies'],
+  properties: {
+    half_life_days: { type: 'number', exclusiveMinimum: 0 },
+    score_field: { type: 'string', enum: ['raw', 'percentile'] },
+    competencies: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['sources'],
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          sources: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['game_type', 'competency'],
+              properties: {
+                game_type: { type: 'string', minLength: 1 },
+                competency: { type: 'string', minLength: 1 },
+                weight: { type: 'number', exclusiveMinimum: 0 }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Cross-game competency profile
+ * Combines the competencies of every completed session of a user into
+ * global competencies (see config/competencyProfile.js for the mapping)
+ */
+class ProfileService {
+
+  /**
+   * Get the active profile mapping (the default mapping when none is saved)
+   */
+  async getMapping() {
+    const { data, error } = await supabase
+      .from('profile_mappings')
+      .select('*')
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get profile mapping: ${error.message}`);
+
+    return data
+      ? { source: 'saved', id: data.id, created_at: data.created_at, mapping: data.mapping }
+      : { source: 'default', mapping: defaultMapping };
+  }
+
+  /**
+   * Save a new profile mapping and make it the active one
+   * (deactivation and insert run in one transaction)
+   */
+  async saveMapping(mapping, userId = null) {
+    const { data, error } = await supabase
+      .rpc('save_profile_mapping', {
+        p_mapping: mapping,
+        p_created_by: userId || null
+      });
+
+    if (error) throw new Error(`Failed to save profile mapping: ${error.message}`);
+
+    return data;
+  }
+
+  /**
+   * Validate a profile mapping
+   * @returns {array} - [{ path, message }]
+   */
+  validateMapping(mapping) {
+    const errors = [];
+    inputValidator.validateValue(MAPPING_SCHEMA, mapping, 'mapping', errors);
+    if (errors.length > 0) return errors;
+
+    for (const [name, competency] of Object.entries(mapping.competencies)) {
+      competency.sources.forEach((source, index) => {
+        if (!gameRegistry.has(source.game_type)) {
+          errors.push({
+            path: `mapping.competencies.${name}.sources[${index}].game_type`,
+            message: `unknown game type ${source.game_type}`
+          });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the cross-game profile of a user
+   * @param {string} userId - User id
+   * @param {Date} asOf - Reference time for recency decay
+   * @returns {object} - { user_id, competencies, sessions_considered, mapping_source }
+   */
+  async getProfile(userId, asOf = new Date()) {
+    const { data: sessions, error } = await supabase
+      .from('test_sessions')
+      .select('id, game_type, final_scores, completed_at')
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .order('completed_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to get sessions: ${error.message}`);
+
+    const { source, mapping } = await this.getMapping();
+
+    return {
+      user_id: userId,
+      as_of: asOf.toISOString(),
+      mapping_source: source,
+      half_life_days: mapping.half_life_days || null,
+      score_field: mapping.score_field || 'raw',
+      sessions_considered: (sessions || []).length,
+      competencies: this.buildProfile(sessions || [], mapping, asOf)
+    };
+  }
+
+  /**
+   * Aggregate sessions into global competencies
+   * Each contribution is weighted by source weight x recency decay;
+   * evidence_weight is the sum of those weights
+   */
+  buildProfile(sessions, mapping, asOf = new Date()) {
+    const scoreField = mapping.score_field || 'raw';
+    const profile = {};
+
+    for (const [name, competency] of Object.entries(mapping.competencies || {})) {
+      const contributions = [];
+
+      for (const session of sessions) {
+        const sessionCompetencies = session.final_scores?.competencies || {};
+
+        for (const mappingSource of competency.sources) {
+          if (mappingSource.game_type !== session.game_type) continue;
+
+          const value = sessionCompetencies[mappingSource.competency]?.[scoreField];
+          if (typeof value !== 'number' || !isFinite(value)) continue;
+
+          const recency = this.getRecencyWeight(session.completed_at, mapping.half_life_days, asOf);
+          const weight = (mappingSource.weight ?? 1) * recency;
+          if (weight <= 0) continue;
+
+          contributions.push({
+            session_id: session.id,
+            game_type: session.game_type,
+            competency: mappingSource.competency,
+            score: value,
+            completed_at: session.completed_at,
+            source_weight: mappingSource.weight ?? 1,
+            recency_weight: parseFloat(recency.toFixed(4)),
+            weight: parseFloat(weight.toFixed(4))
+          });
+        }
+      }
+
+      const evidence = contributions.reduce((sum, contribution) => sum + contribution.weight, 0);
+      const weightedSum = contributions.reduce((sum, contribution) => sum + contribution.score * contribution.weight, 0);
+
+      profile[name] = {
+        label: competency.label || name,
+        score: evidence > 0 ? parseFloat((weightedSum / evidence).toFixed(2)) : null,
+        evidence_weight: parseFloat(evidence.toFixed(4)),
+        session_count: new Set(contributions.map(contribution => contribution.session_id)).size,
+        contributions: contributions
+      };
+    }
+
+    return profile;
+  }
+
+  /**
+   * Recency weight: 0.5 ^ (age in days / half-life); 1 without a half-life
+   */
+  getRecencyWeight(completedAt, halfLifeDays, asOf = new Date()) {
+    if (!halfLifeDays || !completedAt) return 1;
+
+    const ageDays = Math.max(0, (asOf.getTime() - new Date(completedAt).getTime()) / DAY_MS);
+    return Math.pow(0.5, ageDays / halfLifeDays);
+  }
+}
+
+module.exports = new ProfileService();
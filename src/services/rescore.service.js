@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const scoringCalculator = require('./scoringCalculator');
+const calculatorService = require('./calculator.service');
+const gameRegistry = require('./gameRegistry');
+const normsService = require('./norms.service');
+
+const BATCH_SIZE = 100;
+const RESCORE_STATUSES = ['completed', 'needs_review'];
+// A running job whose runner sent no heartbeat for this long can be taken over
+const LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Rescore jobs
+ * Replays stored receipts (action_receipts.raw_data, text_receipts.response_data)
+ * of past sessions through a chosen scoring version. Jobs walk the matching
+ * sessions in id order in batches and store a cursor after each batch, so a
+ * paused or interrupted job resumes where it stopped. One runner owns a job
+ * at a time (runner_id); it saves progress only while it still owns the job,
+ * and each save is its heartbeat (updated_at).
+ *
+ * Each rescore is stored as a score revision (score_revisions); the first
+ * rescore of a session also stores its original scores as revision 1. The
+ * session's final_scores then come from the latest revision, while its
+ * scoring_version_id keeps the version that scored it live (see revision.service.js). Dry runs store nothing but the
+ * job's summary of score changes. AI-scored sessions reuse their stored AI scores.
+ */
+class RescoreService {
+
+  /**
+   * Create a rescore job
+   * @param {object} request - { game_type, version_name, from, to, source_version, dry_run }
+   * @returns {object} - { job } or { status, error }
+   */
+  async createJob(request, userId = null) {
+    const { game_type, version_name, from, to, source_version, dry_run } = request;
+
+    if (!gameRegistry.has(game_type)) {
+      return { status: 400, error: `Unknown game type: ${game_type}` };
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return { status: 400, error: `${name} must be a valid date` };
+      }
+    }
+
+    const target = await this.findVersion(game_type, version_name);
+    if (!target) {
+      return { status: 404, error: `Version ${version_name} not found for ${game_type}` };
+    }
+
+    // Drafts may be tried in a dry run but never written to sessions
+    if (!dry_run && !['approved', 'active', 'retired'].includes(target.status)) {
+      return { status: 400, error: `${version_name} is ${target.status}; only approved versions can rescore sessions (use dry_run)` };
+    }
+
+    let sourceVersionId = null;
+    if (source_version) {
+      const source = await this.findVersion(game_type, source_version);
+      if (!source) {
+        return { status: 404, error: `Version ${source_version} not found for ${game_type}` };
+      }
+      sourceVersionId = source.id;
+    }
+
+    const filters = {
+      from: from || null,
+      to: to || null,
+      source_version: source_version || null,
+      source_version_id: sourceVersionId
+    };
+
+    const { count, error: countError } = await this.sessionQuery(game_type, filters, 'id', { count: 'exact', head: true });
+
+    if (countError) throw new Error(`Failed to count sessions: ${countError.message}`);
+
+    const { data: job, error } = await supabase
+      .from('rescore_jobs')
+      .insert({
+        game_type: game_type,
+        target_version_id: target.id,
+        target_version_name: target.version_name,
+        filters: filters,
+        dry_run: Boolean(dry_run),
+        status: 'pending',
+        total: count || 0,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        summary: {},
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create rescore job: ${error.message}`);
+
+    return { job };
+  }
+
+  /**
+   * Get a version of a game by name (null when it does not exist)
+   */
+  async findVersion(gameType, versionName) {
+    const { data, error } = await supabase
+      .from('scoring_versions')
+      .select('*')
+      .eq('game_type', gameType)
+      .eq('version_name', versionName)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Get a job by id (null when it does not exist)
+   */
+  async getJob(jobId) {
+    const { data, error } = await supabase
+      .from('rescore_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get rescore job: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Change a job's status if it is currently in one of the given statuses
+   * (and, with a runnerId, still owned by that runner)
+   * @returns {object|null} - Updated job, null when it was in another status
+   */
+  async setStatus(jobId, fromStatuses, status, changes = {}, runnerId = null) {
+    let query = supabase
+      .from('rescore_jobs')
+      .update({ status, updated_at: new Date().toISOString(), ...changes })
+      .eq('id', jobId)
+      .in('status', fromStatuses);
+
+    if (runnerId) query = query.eq('runner_id', runnerId);
+
+    const { data, error } = await query
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to update rescore job: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Whether a running job's runner stopped sending heartbeats
+   */
+  isLeaseStale(job) {
+    return Date.now() - new Date(job.updated_at).getTime() > LEASE_MS;
+  }
+
+  /**
+   * Take ownership of a job for a new runner. Pending and paused jobs can be
+   * claimed; running jobs only once their lease is stale (e.g. left
+   * 'running' by a stopped server). The update is a compare-and-set on the
+   * status and heartbeat read here, so only one claim wins.
+   * @returns {object|null} - The claimed job, null when it cannot be claimed
+   */
+  async claimJob(jobId) {
+    const current = await this.getJob(jobId);
+    if (!current) return null;
+    if (current.status === 'running' && !this.isLeaseStale(current)) return null;
+    if (!['pending', 'paused', 'running'].includes(current.status)) return null;
+
+    const { data, error } = await supabase
+      .from('rescore_jobs')
+      .update({
+        status: 'running',
+        runner_id: crypto.randomUUID(),
+        started_at: current.started_at || new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('status', current.status)
+      .eq('updated_at', current.updated_at)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to claim rescore job: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Save a job's progress after a batch (whatever its status is now)
+   * @returns {object|null} - Updated job, null when another runner took it over
+   */
+  async saveProgress(job, progress) {
+    const { data, error } = await supabase
+      .from('rescore_jobs')
+      .update({ ...progress, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('runner_id', job.runner_id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to update rescore job: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Claim and run (or resume) a job
+   * @returns {object|null} - The job when it finished, paused or could not be claimed
+   */
+  async runJob(jobId) {
+    const job = await this.claimJob(jobId);
+    if (!job) return this.getJob(jobId);
+
+    return this.processJob(job);
+  }
+
+  /**
+   * Run a claimed job until it completes, is paused, cancelled or taken over
+   * Progress, cursor and summary are saved after every batch
+   */
+  async processJob(claimed) {
+    const jobId = claimed.id;
+    const runnerId = claimed.runner_id;
+    let job = claimed;
+
+    try {
+      const { data: target, error } = await supabase
+        .from('scoring_versions')
+        .select('*')
+        .eq('id', job.target_version_id)
+        .single();
+
+      if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+
+      for (;;) {
+        let query = this.sessionQuery(
+          job.game_type,
+          job.filters,
+          'id, game_type, final_scores, age_band, cohort'
+        );
+
+        if (job.cursor) {
+          query = query.gt('id', job.cursor);
+        }
+
+        const { data: sessions, error: sessionsError } = await query
+          .order('id', { ascending: true })
+          .limit(BATCH_SIZE);
+
+        if (sessionsError) throw new Error(`Failed to get sessions: ${sessionsError.message}`);
+        if (!sessions || sessions.length === 0) break;
+
+        const result = await this.rescoreBatch(job, target, sessions);
+
+        const saved = await this.saveProgress(job, {
+          cursor: sessions[sessions.length - 1].id,
+          processed: job.processed + sessions.length,
+          succeeded: job.succeeded + result.succeeded,
+          failed: job.failed + result.failed,
+          summary: this.mergeSummary(job.summary, result.changes),
+          last_error: result.lastError || job.last_error || null
+        });
+
+        // Another runner took the job over; its progress wins
+        if (!saved) return this.getJob(jobId);
+        job = saved;
+
+        // Stop when the job was paused or cancelled meanwhile
+        if (job.status !== 'running') return job;
+        if (sessions.length < BATCH_SIZE) break;
+      }
+
+      return await this.setStatus(jobId, ['running'], 'completed', { finished_at: new Date().toISOString() }, runnerId)
+        || this.getJob(jobId);
+
+    } catch (error) {
+      console.error(`Rescore job ${jobId} failed:`, error);
+      await this.setStatus(jobId, ['running'], 'failed', {
+        last_error: error.message,
+        finished_at: new Date().toISOString()
+      }, runnerId);
+      throw error;
+    }
+  }
+
+  /**
+   * Rescore one batch of sessions
+   * @returns {object} - { succeeded, failed, changes: [{ session_id, old, new }], lastError }
+   */
+  async rescoreBatch(job, target, sessions) {
+    const ids = sessions.map(session => session.id);
+    const receipts = await this.getReceipts(ids);
+    const revisions = job.dry_run ? {} : await this.getRevisions(ids);
+
+    const result = { succeeded: 0, failed: 0, changes: [], lastError: null };
+
+    for (const session of sessions) {
+      try {
+        // A resumed job skips sessions it already revised before being interrupted
+        if (revisions[session.id]?.includes(job.id)) {
+          result.succeeded++;
+          continue;
+        }
+
+        const rescored = await this.rescoreSession(session, target, receipts[session.id]);
+
+        if (!job.dry_run) {
+          await this.saveRevision(session, target, rescored, job.id);
+        }
+
+        result.changes.push({ session_id: session.id, old: session.final_scores, new: rescored.scores });
+        result.succeeded++;
+      } catch (error) {
+        result.failed++;
+        result.lastError = `${session.id}: ${error.message}`;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Scores a session gets from the target version
+   * @returns {object} - { scores, explanation }
+   */
+  async rescoreSession(session, target, receipt) {
+    if (!receipt) throw new Error('No stored receipt');
+
+    let scores;
+    let explanation = null;
+
+    if (receipt.raw_data !== undefined) {
+      const { diagnostics, explanation: trace, ...formulaScores } = scoringCalculator.calculateScores(
+        session.game_type,
+        target.config,
+        receipt.raw_data,
+        { reliability: false, quiet: true }
+      );
+      scores = formulaScores;
+      explanation = trace || null;
+    } else {
+      const aiScores = session.final_scores?.ai_scores;
+      if (!aiScores) throw new Error('No stored AI scores');
+
+      scores = {
+        ...calculatorService.calculateScores(session.game_type, receipt.response_data, target.config, aiScores),
+        ai_scores: aiScores
+      };
+    }
+
+    await normsService.annotateScores(target, scores, { age_band: session.age_band, cohort: session.cohort });
+
+    return { scores, explanation };
+  }
+
+  /**
+   * Store the rescore as the session's next revision (the original scores
+   * become revision 1 the first time) and make it the session's scores,
+   * in one transaction
+   * @returns {number} - The session's new revision
+   */
+  async saveRevision(session, target, rescored, jobId) {
+    const { data, error } = await supabase
+      .rpc('save_score_revision', {
+        p_session_id: session.id,
+        p_job_id: jobId,
+        p_scoring_version_id: target.id,
+        p_scores: rescored.scores,
+        p_explanation: rescored.explanation
+      });
+
+    if (error) throw new Error(`Failed to save revision: ${error.message}`);
+
+    return data;
+  }
+
+  /**
+   * Stored receipts by session id: { raw_data } or { response_data }
+   */
+  async getReceipts(sessionIds) {
+    const receipts = {};
+
+    const { data: actions, error } = await supabase
+      .from('action_receipts')
+      .select('session_id, raw_data')
+      .in('session_id', sessionIds);
+
+    if (error) throw new Error(`Failed to get receipts: ${error.message}`);
+
+    const { data: texts, error: textError } = await supabase
+      .from('text_receipts')
+      .select('session_id, response_data')
+      .in('session_id', sessionIds);
+
+    if (textError) throw new Error(`Failed to get receipts: ${textError.message}`);
+
+    (actions || []).forEach(receipt => { receipts[receipt.session_id] = { raw_data: receipt.raw_data }; });
+    (texts || []).forEach(receipt => { receipts[receipt.session_id] = { response_data: receipt.response_data }; });
+
+    return receipts;
+  }
+
+  /**
+   * Jobs that already revised each session: { session_id: [job ids] }
+   */
+  async getRevisions(sessionIds) {
+    const { data, error } = await supabase
+      .from('score_revisions')
+      .select('session_id, job_id')
+      .in('session_id', sessionIds)
+      .not('job_id', 'is', null);
+
+    if (error) throw new Error(`Failed to get revisions: ${error.message}`);
+
+    const revisions = {};
+    for (const row of data || []) {
+      (revisions[row.session_id] = revisions[row.session_id] || []).push(row.job_id);
+    }
+    return revisions;
+  }
+
+  /**
+   * Get the score revisions of a session, oldest first
+   */
+  async getSessionRevisions(sessionId) {
+    const { data, error } = await supabase
+      .from('score_revisions')
+      .select('revision, source, job_id, scores, created_at, scoring_version:scoring_versions(version_name)')
+      .eq('session_id', sessionId)
+      .order('revision', { ascending: true });
+
+    if (error) throw new Error(`Failed to get revisions: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Sessions matching a job's filters
+   */
+  sessionQuery(gameType, filters, columns, options = undefined) {
+    let query = supabase
+      .from('test_sessions')
+      .select(columns, options)
+      .eq('game_type', gameType)
+      .in('status', RESCORE_STATUSES);
+
+    if (filters.from) query = query.gte('completed_at', filters.from);
+    if (filters.to) query = query.lte('completed_at', filters.to);
+    if (filters.source_version_id) query = query.eq('scoring_version_id', filters.source_version_id);
+
+    return query;
+  }
+
+  /**
+   * Add a batch's score changes (new - old) to the running summary:
+   * { metric: { sessions, changed, sum_difference, sum_absolute_difference,
+   *             max_absolute_difference, max_session_id } }
+   */
+  mergeSummary(summary, changes) {
+    const merged = JSON.parse(JSON.stringify(summary || {}));
+
+    const add = (metric, sessionId, oldValue, newValue) => {
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number') return;
+      const entry = merged[metric] = merged[metric] || {
+        sessions: 0, changed: 0, sum_difference: 0, sum_absolute_difference: 0,
+        max_absolute_difference: 0, max_session_id: null
+      };
+      const difference = newValue - oldValue;
+
+      entry.sessions++;
+      if (Math.abs(difference) > 1e-9) entry.changed++;
+      entry.sum_difference += difference;
+      entry.sum_absolute_difference += Math.abs(difference);
+      if (Math.abs(difference) > entry.max_absolute_difference) {
+        entry.max_absolute_difference = Math.abs(difference);
+        entry.max_session_id = sessionId;
+      }
+    };
+
+    for (const change of changes) {
+      add('final_score', change.session_id, change.old?.final_score, change.new?.final_score);
+      for (const [name, competency] of Object.entries(change.new?.competencies || {})) {
+        add(name, change.session_id, change.old?.competencies?.[name]?.raw, competency?.raw);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Job progress for the API (summary sums turned into means)
+   */
+  describeJob(job) {
+    const round = value => parseFloat(value.toFixed(4));
+    const changes = {};
+
+    for (const [metric, entry] of Object.entries(job.summary || {})) {
+      changes[metric] = {
+        sessions: entry.sessions,
+        changed: entry.changed,
+        mean_difference: entry.sessions > 0 ? round(entry.sum_difference / entry.sessions) : 0,
+        mean_absolute_difference: entry.sessions > 0 ? round(entry.sum_absolute_difference / entry.sessions) : 0,
+        max_absolute_difference: round(entry.max_absolute_difference),
+        max_session_id: entry.max_session_id
+      };
+    }
+
+    return {
+      id: job.id,
+      game_type: job.game_type,
+      target_version: job.target_version_name,
+      filters: {
+        from: job.filters?.from || null,
+        to: job.filters?.to || null,
+        source_version: job.filters?.source_version || null
+      },
+      dry_run: job.dry_run,
+      status: job.status,
+      progress: {
+        total: job.total,
+        processed: job.processed,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        percent: job.total > 0 ? round(Math.min(100, job.processed / job.total * 100)) : 100
+      },
+      changes: changes,
+      last_error: job.last_error || null,
+      created_at: job.created_at,
+      started_at: job.started_at || null,
+      finished_at: job.finished_at || null
+    };
+  }
+}
+
+module.exports = new RescoreService();
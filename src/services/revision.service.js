@@ -0,0 +1,45 @@
+const supabase = require('../config/supabase');
+
+const CHUNK_SIZE = 200;
+
+/**
+ * Original scores of rescored sessions
+ * Rescoring (see rescore.service.js) replaces a session's final_scores but
+ * keeps its scoring_version_id, and the scores that version produced stay
+ * in score_revisions as revision 1. Reports about what a version produced
+ * (norms, experiment arms, the live side of shadow reports) read them here.
+ */
+class RevisionService {
+
+  /**
+   * Put back the original final_scores of sessions that were rescored
+   * @param {array} sessions - Rows with id, final_scores and score_revision (changed in place)
+   * @returns {array} - The same rows
+   */
+  async withOriginalScores(sessions) {
+    const rescored = sessions.filter(session => session && session.score_revision);
+
+    for (let start = 0; start < rescored.length; start += CHUNK_SIZE) {
+      const chunk = rescored.slice(start, start + CHUNK_SIZE);
+
+      const { data, error } = await supabase
+        .from('score_revisions')
+        .select('session_id, scores')
+        .in('session_id', chunk.map(session => session.id))
+        .eq('revision', 1);
+
+      if (error) throw new Error(`Failed to get original scores: ${error.message}`);
+
+      const originals = {};
+      (data || []).forEach(row => { originals[row.session_id] = row.scores; });
+
+      chunk.forEach(session => {
+        if (originals[session.id]) session.final_scores = originals[session.id];
+      });
+    }
+
+    return sessions;
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,91 @@
+/**
+ * Per-competency output policies
+ * config.competency_policies declares, per competency, the output range,
+ * how results outside it are handled and the rounding precision:
+ * { stanine: { min: 1, max: 9, clamp: 'hard', decimals: 0 } }
+ * Competencies without a policy keep the default 0-100 hard clamp.
+ */
+
+const DEFAULT_POLICY = {
+  min: 0,
+  max: 100,
+  clamp: 'hard',   // hard: cut at min/max, soft: sigmoid squash, none: leave as is
+  decimals: null   // null = no rounding
+};
+
+class ScorePolicy {
+  /**
+   * Get the policy of a competency merged over the defaults
+   */
+  getPolicy(config, competencyName) {
+    const policy = (config && config.competency_policies && config.competency_policies[competencyName]) || {};
+    return { ...DEFAULT_POLICY, ...policy };
+  }
+
+  /**
+   * Apply a competency's policy to a formula result
+   * @param {number} value - Formula result
+   * @param {object} policy - From getPolicy
+   * @returns {object} - { score, clamped } (clamped: the value fell outside the range)
+   */
+  apply(value, policy) {
+    let score = value;
+
+    if (policy.clamp === 'hard') {
+      score = Math.max(policy.min, Math.min(policy.max, value));
+    } else if (policy.clamp === 'soft') {
+      score = this.softClamp(value, policy.min, policy.max);
+    }
+
+    // The soft clamp moves values inside the range too; only values
+    // beyond the bounds count as clamped
+    const clamped = policy.clamp !== 'none' && (value < policy.min || value > policy.max);
+
+    if (typeof policy.decimals === 'number') {
+      score = parseFloat(score.toFixed(policy.decimals));
+    }
+
+    return { score, clamped };
+  }
+
+  /**
+   * Logistic squash into (min, max) with slope 1 at the midpoint, so
+   * results keep their order instead of piling up at the bounds
+   */
+  softClamp(value, min, max) {
+    const range = max - min;
+    if (range <= 0) return min;
+
+    const midpoint = (min + max) / 2;
+    return min + range / (1 + Math.exp(-4 * (value - midpoint) / range));
+  }
+
+  /**
+   * Validate config.competency_policies
+   * @param {object} policies - { competency: policy }
+   * @param {array} competencies - Competency names of the config
+   * @returns {array} - [{ path, message }]
+   */
+  validatePolicies(policies, competencies) {
+    const errors = [];
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) return errors;
+
+    for (const [name, policy] of Object.entries(policies)) {
+      const path = `config.competency_policies.${name}`;
+
+      if (!competencies.includes(name)) {
+        errors.push({ path, message: `has no matching competency in final_weights` });
+      }
+      if (!policy || typeof policy !== 'object') continue;
+
+      const { min, max } = { ...DEFAULT_POLICY, ...policy };
+      if (typeof min === 'number' && typeof max === 'number' && min >= max) {
+        errors.push({ path, message: `min (${min}) must be less than max (${max})` });
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new ScorePolicy();
@@ -4,6 +4,7 @@ class ScoringService {
   
   /**
    * Get active scoring version for a game
+   * Throws an error with status 404 when the game has no active version
    */
   async getActiveVersion(gameType) {
     const { data, error } = await supabase
@@ -11,10 +12,15 @@ class ScoringService {
       .select('*')
       .eq('game_type', gameType)
       .eq('is_active', true)
-      .single();
+      .maybeSingle();
 
     if (error) throw new Error(`Failed to get active version: ${error.message}`);
-    if (!data) throw new Error(`No active version found for ${gameType}`);
+
+    if (!data) {
+      const missing = new Error(`No active version found for ${gameType}`);
+      missing.status = 404;
+      throw missing;
+    }
 
     return data;
   }
@@ -25,7 +31,7 @@ class ScoringService {
   async getAllVersions(gameType) {
     const { data, error } = await supabase
       .from('scoring_versions')
-      .select('id, version_name, description, is_active, created_at')
+      .select('id, version_name, description, status, is_active, created_at')
       .eq('game_type', gameType)
       .order('created_at', { ascending: false });
 
@@ -34,64 +40,178 @@ class ScoringService {
   }
 
   /**
-   * Save new scoring version
+   * Save new scoring version as a draft (it does not affect scoring
+   * until it is reviewed, approved and activated)
    */
   async saveNewVersion(gameType, config, userId, description = null) {
-    // Step 1: Get next version name
-    const { data: nextVersionData } = await supabase
-      .rpc('get_next_version_name', { p_game_type: gameType });
+    const { data, error } = await supabase
+      .rpc('save_scoring_version', {
+        p_game_type: gameType,
+        p_config: config,
+        p_description: description,
+        p_created_by: userId || null
+      });
 
-    const nextVersion = nextVersionData || 'V1';
+    if (error) throw versionWriteError(error, 'Failed to save version');
 
-    // Step 2: Deactivate current active version
-    await supabase
-      .from('scoring_versions')
-      .update({ is_active: false })
-      .eq('game_type', gameType)
-      .eq('is_active', true);
+    return data;
+  }
+
+  /**
+   * Replace the config (and description) of a draft
+   * @returns {object|null} - Updated version, null when it is not a draft
+   */
+  async updateDraft(gameType, versionName, config, description = undefined) {
+    const changes = { config: config, updated_at: new Date().toISOString() };
+    if (description !== undefined) changes.description = description;
 
-    // Step 3: Insert new version
     const { data, error } = await supabase
       .from('scoring_versions')
-      .insert({
-        game_type: gameType,
-        version_name: nextVersion,
-        description: description,
-        is_active: true,
-        config: config,
-        created_by: userId
-      })
+      .update(changes)
+      .eq('game_type', gameType)
+      .eq('version_name', versionName)
+      .eq('status', 'draft')
       .select()
-      .single();
+      .maybeSingle();
 
-    if (error) throw new Error(`Failed to save version: ${error.message}`);
+    if (error) throw new Error(`Failed to update draft: ${error.message}`);
 
     return data;
   }
 
   /**
-   * Set a specific version as active
+   * Move a version through review: in_review (submit), draft (changes
+   * requested), approved (by an admin other than the author/submitter),
+   * discarded (discard; never activated). Activation goes through setActiveVersion.
    */
-  async setActiveVersion(gameType, versionName) {
-    // Deactivate all versions for this game
-    await supabase
-      .from('scoring_versions')
-      .update({ is_active: false })
-      .eq('game_type', gameType);
+  async transitionVersion(gameType, versionName, toStatus, userId, note = null) {
+    const { data, error } = await supabase
+      .rpc('transition_scoring_version', {
+        p_game_type: gameType,
+        p_version_name: versionName,
+        p_to_status: toStatus,
+        p_actor: userId || null,
+        p_note: note
+      });
+
+    if (error) throw versionWriteError(error, 'Failed to change version status');
 
-    // Activate the specified version
+    return data;
+  }
+
+  /**
+   * Set an approved (or previously active) version as active (atomically);
+   * the current active version is retired
+   * @param {string|null} expectedVersion - Version the caller expects to be
+   *   active (null = none)
+   */
+  async setActiveVersion(gameType, versionName, expectedVersion, userId = null) {
     const { data, error } = await supabase
+      .rpc('activate_scoring_version', {
+        p_game_type: gameType,
+        p_version_name: versionName,
+        p_expected_version: expectedVersion,
+        p_check_expected: true,
+        p_actor: userId || null
+      });
+
+    if (error) throw versionWriteError(error, 'Failed to set active version');
+
+    return data;
+  }
+
+  /**
+   * Get the status transitions of a version, oldest first
+   * @returns {array|null} - null when the version does not exist
+   */
+  async getVersionHistory(gameType, versionName) {
+    const { data: version, error } = await supabase
       .from('scoring_versions')
-      .update({ is_active: true })
+      .select('id, version_name, status')
       .eq('game_type', gameType)
       .eq('version_name', versionName)
-      .select()
-      .single();
+      .maybeSingle();
 
-    if (error) throw new Error(`Failed to set active version: ${error.message}`);
+    if (error) throw new Error(`Failed to get version: ${error.message}`);
+    if (!version) return null;
 
-    return data;
+    const { data, error: historyError } = await supabase
+      .from('scoring_version_transitions')
+      .select('from_status, to_status, actor, note, created_at')
+      .eq('scoring_version_id', version.id)
+      .order('created_at', { ascending: true });
+
+    if (historyError) throw new Error(`Failed to get version history: ${historyError.message}`);
+
+    return data || [];
+  }
+
+  /**
+   * Find game types with zero or several active versions
+   * @returns {array} - [{ game_type, problem, active_versions }]
+   */
+  async checkActiveVersions(gameType = null) {
+    let query = supabase
+      .from('scoring_versions')
+      .select('game_type, version_name, is_active');
+
+    if (gameType) {
+      query = query.eq('game_type', gameType);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to get versions: ${error.message}`);
+
+    const activeByGame = {};
+    for (const version of data || []) {
+      activeByGame[version.game_type] = activeByGame[version.game_type] || [];
+      if (version.is_active) activeByGame[version.game_type].push(version.version_name);
+    }
+
+    return Object.entries(activeByGame)
+      .filter(([, active]) => active.length !== 1)
+      .map(([game, active]) => ({
+        game_type: game,
+        problem: active.length === 0 ? 'no_active_version' : 'multiple_active_versions',
+        active_versions: active
+      }));
   }
+
+  /**
+   * Repair game types with zero or several active versions
+   * (keeps the most recently activated version active; game types with
+   * no version that may be activated are skipped)
+   * @returns {array} - [{ game_type, problem, active_version }]
+   */
+  async repairActiveVersions(gameType = null) {
+    const { data, error } = await supabase
+      .rpc('repair_active_versions', { p_game_type: gameType });
+
+    if (error) throw new Error(`Failed to repair active versions: ${error.message}`);
+
+    return data || [];
+  }
+}
+
+/**
+ * Map errors raised by the version write functions to HTTP statuses:
+ * P0409 = expected version is not the active one (current one in details),
+ * P0404 = version not found, P0400 = lifecycle transition not allowed
+ */
+function versionWriteError(error, message) {
+  const wrapped = new Error(`${message}: ${error.message}`);
+
+  if (error.code === 'P0409') {
+    wrapped.status = 409;
+    wrapped.currentVersion = error.details || null;
+  } else if (error.code === 'P0404') {
+    wrapped.status = 404;
+  } else if (error.code === 'P0400') {
+    wrapped.status = 400;
+  }
+
+  return wrapped;
 }
 
 module.exports = new ScoringService();
\ No newline at end of file
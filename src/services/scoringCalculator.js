@@ -1,5 +1,15 @@
 const formulaEvaluator = require('./formulaEvaluator');
 const variableExtractor = require('./variableExtractor');
+const derivedVariables = require('./derivedVariables');
+const statistics = require('./statistics');
+const scorePolicy = require('./scorePolicy');
+
+const DEFAULT_RELIABILITY = {
+  enabled: false,           // opt-in: every resample re-runs extraction and all formulas
+  bootstrap_samples: 200,   // resamples of the trials
+  min_reliability: 0.7,     // sessions below this are flagged low_reliability
+  reference_sd: 15          // expected between-person SD of scores (0-100 scale)
+};
 
 class ScoringCalculator {
   /**
@@ -7,35 +17,52 @@ class ScoringCalculator {
    * @param {string} gameType - Game type identifier
    * @param {object} config - Scoring configuration with formulas and weights
    * @param {*} rawData - Raw game data
-   * @returns {object} - Calculated scores
+   * @param {object} options - { reliability: false } skips the bootstrap,
+   *   { explanation: false } the trace and { quiet: true } the logging
+   *   (replays and comparisons, e.g. shadow scoring, rescoring and impact analysis)
+   * @returns {object} - Calculated scores, explanation trace (plus diagnostics in strict mode)
    */
-  calculateScores(gameType, config, rawData) {
-    console.log(`\n=== Calculating Scores for ${gameType} ===`);
+  calculateScores(gameType, config, rawData, options = {}) {
+    const log = options.quiet ? () => {} : console.log;
+
+    log(`\n=== Calculating Scores for ${gameType} ===`);
+
+    // Strict mode collects evaluation failures instead of silently scoring 0
+    const diagnostics = this.isStrict(config) ? [] : null;
     
     // Step 1: Extract variables from raw data
-    const variables = variableExtractor.extractVariables(gameType, rawData, config);
-    console.log('Extracted Variables:', variables);
+    const extracted = variableExtractor.extractVariables(gameType, rawData, config);
+    log('Extracted Variables:', extracted);
+
+    // Step 1b: Evaluate derived variables in dependency order
+    const variables = derivedVariables.applyDerivedVariables(config.derived_variables, extracted, diagnostics);
 
     // Step 2: Calculate each competency using formulas
     const competencyScores = {};
     
     for (const [competencyName, formula] of Object.entries(config.competency_formulas || {})) {
       try {
-        console.log(`\nCalculating ${competencyName}:`);
-        console.log(`Formula: ${formula}`);
+        log(`\nCalculating ${competencyName}:`);
+        log(`Formula: ${formula}`);
         
         // Evaluate formula
-        const rawScore = formulaEvaluator.evaluate(formula, variables);
+        const failures = diagnostics ? [] : null;
+        const rawScore = formulaEvaluator.evaluate(formula, variables, failures);
+
+        if (failures) {
+          diagnostics.push(...failures.map(failure => ({ competency: competencyName, ...failure })));
+        }
         
-        // Clamp between 0-100
-        const clampedScore = Math.max(0, Math.min(100, rawScore));
+        // Apply the competency's range, clamping and rounding (0-100 hard clamp by default)
+        const { score: clampedScore } = scorePolicy.apply(rawScore, scorePolicy.getPolicy(config, competencyName));
         
-        console.log(`Result: ${rawScore} → Clamped: ${clampedScore}`);
+        log(`Result: ${rawScore} → Clamped: ${clampedScore}`);
         
         competencyScores[competencyName] = {
           raw: clampedScore,
           formula: formula,
-          variables_used: formulaEvaluator.getFormulaVariables(formula)
+          variables_used: formulaEvaluator.getFormulaVariables(formula),
+          variable_values: this.getVariableValues(formula, variables)
         };
         
       } catch (error) {
@@ -45,6 +72,15 @@ class ScoringCalculator {
           formula: formula,
           error: error.message
         };
+
+        if (diagnostics) {
+          diagnostics.push({
+            competency: competencyName,
+            formula: formula,
+            type: 'evaluation_error',
+            message: error.message
+          });
+        }
       }
     }
 
@@ -52,14 +88,277 @@ class ScoringCalculator {
     const finalScores = this.applyWeights(competencyScores, config.final_weights || {});
     
     // Step 4: Add raw statistics
-    finalScores.raw_stats = this.extractRawStats(rawData);
+    finalScores.raw_stats = this.extractRawStats(rawData, config);
+
+    // Step 5: Attach standard errors and 95% intervals (bootstrap over trials)
+    this.attachReliability(gameType, config, rawData, finalScores, options.reliability !== false);
+
+    // Step 6: Record how the scores came about
+    if (options.explanation !== false) {
+      finalScores.explanation = this.explainScores(config, extracted, variables, finalScores);
+    }
+
+    if (diagnostics) {
+      finalScores.diagnostics = diagnostics;
+    }
     
-    console.log('\n=== Final Scores ===');
-    console.log(JSON.stringify(finalScores, null, 2));
+    if (!options.quiet) {
+      console.log('\n=== Final Scores ===');
+      console.log(JSON.stringify(finalScores, null, 2));
+    }
     
     return finalScores;
   }
 
+  /**
+   * Check whether a scoring configuration uses strict evaluation
+   */
+  isStrict(config) {
+    return config.settings?.evaluation_mode === 'strict';
+  }
+
+  /**
+   * What to do with a strict-mode submission whose formulas failed:
+   * 'reject' the submission or store it as 'needs_review' (default)
+   */
+  getFailureAction(config) {
+    return config.settings?.on_evaluation_error === 'reject' ? 'reject' : 'needs_review';
+  }
+
+  /**
+   * Get reliability settings merged over the defaults
+   */
+  getReliabilitySettings(config) {
+    return { ...DEFAULT_RELIABILITY, ...(config.settings?.reliability || {}) };
+  }
+
+  /**
+   * Attach measurement uncertainty to the scores (mutates finalScores)
+   * Trials are resampled with replacement and re-scored; the spread of the
+   * bootstrap scores gives the standard error and the 2.5th/97.5th
+   * percentiles the 95% interval. Reliability follows classical test theory:
+   * 1 - SE^2 / reference_sd^2. Object-based games have no trials to
+   * resample and get method 'none'; versions without
+   * settings.reliability.enabled (and callers passing allowed = false) get 'disabled'.
+   */
+  attachReliability(gameType, config, rawData, finalScores, allowed = true) {
+    const settings = this.getReliabilitySettings(config);
+    const trials = Array.isArray(rawData) ? rawData.length : 0;
+    const enabled = allowed && settings.enabled === true;
+
+    const uncertain = () => ({ standard_error: null, ci_95: null });
+
+    if (!enabled || trials === 0) {
+      Object.assign(finalScores, uncertain());
+      Object.values(finalScores.competencies).forEach(competency => Object.assign(competency, uncertain()));
+      finalScores.reliability = {
+        method: enabled ? 'none' : 'disabled',
+        trials: trials,
+        coefficient: null,
+        min_reliability: settings.min_reliability
+      };
+      finalScores.low_reliability = false;
+      return finalScores;
+    }
+
+    // Seed from the data so the same session always gets the same interval
+    const random = statistics.seededRandom(statistics.hashString(JSON.stringify(rawData)));
+    const samples = { final_score: [] };
+    Object.keys(finalScores.competencies).forEach(name => { samples[name] = []; });
+
+    for (let b = 0; b < settings.bootstrap_samples; b++) {
+      const resampled = [];
+      for (let i = 0; i < trials; i++) {
+        resampled.push(rawData[Math.floor(random() * trials)]);
+      }
+
+      const { scores, final_score } = this.scoreVariables(
+        config,
+        variableExtractor.extractVariables(gameType, resampled, config)
+      );
+
+      samples.final_score.push(final_score);
+      for (const name of Object.keys(finalScores.competencies)) {
+        samples[name].push(scores[name] ?? 0);
+      }
+    }
+
+    const describe = values => (trials < 2 || values.length < 2 ? uncertain() : {
+      standard_error: this.roundValue(statistics.stdDev(values)),
+      ci_95: [
+        this.roundValue(statistics.percentile(values, 2.5)),
+        this.roundValue(statistics.percentile(values, 97.5))
+      ]
+    });
+
+    Object.assign(finalScores, describe(samples.final_score));
+    for (const [name, competency] of Object.entries(finalScores.competencies)) {
+      Object.assign(competency, describe(samples[name]));
+    }
+
+    const coefficient = finalScores.standard_error === null
+      ? null
+      : Math.max(0, 1 - Math.pow(finalScores.standard_error / settings.reference_sd, 2));
+
+    finalScores.reliability = {
+      method: 'bootstrap',
+      trials: trials,
+      bootstrap_samples: settings.bootstrap_samples,
+      coefficient: coefficient === null ? null : this.roundValue(coefficient),
+      min_reliability: settings.min_reliability
+    };
+    finalScores.low_reliability = coefficient === null || coefficient < settings.min_reliability;
+
+    return finalScores;
+  }
+
+  /**
+   * Build the explanation trace stored with each session
+   * @param {object} config - Scoring configuration
+   * @param {object} extracted - Variables extracted from raw data
+   * @param {object} variables - Extracted plus derived variables
+   * @param {object} finalScores - Weighted scores from applyWeights
+   * @returns {object} - { variables, derived_variables, competencies, sensitivity, final_score }
+   */
+  explainScores(config, extracted, variables, finalScores) {
+    const derived = {};
+    for (const [name, formula] of Object.entries(config.derived_variables || {})) {
+      derived[name] = {
+        formula: formula,
+        substituted: formulaEvaluator.substitute(formula, variables),
+        value: this.roundValue(variables[name])
+      };
+    }
+
+    // Sensitivity: change in each score per unit change of an extracted
+    // variable, by central finite difference over the whole pipeline
+    // (derived variables, formulas, clamping and weights)
+    const sensitivity = {};
+    const competencySensitivity = {};
+
+    for (const name of this.getInputVariables(config, extracted)) {
+      const value = extracted[name];
+      const step = Math.max(Math.abs(value) * 1e-3, 1e-3);
+      const up = this.scoreVariables(config, { ...extracted, [name]: value + step });
+      const down = this.scoreVariables(config, { ...extracted, [name]: value - step });
+
+      sensitivity[name] = {
+        value: this.roundValue(value),
+        final_score_per_unit: this.roundValue((up.final_score - down.final_score) / (2 * step))
+      };
+
+      for (const competency of Object.keys(up.scores)) {
+        const derivative = (up.scores[competency] - down.scores[competency]) / (2 * step);
+        if (derivative !== 0) {
+          competencySensitivity[competency] = competencySensitivity[competency] || {};
+          competencySensitivity[competency][name] = this.roundValue(derivative);
+        }
+      }
+    }
+
+    const totalWeighted = Object.values(finalScores.competencies)
+      .reduce((sum, competency) => sum + competency.weighted, 0);
+
+    const competencies = {};
+    for (const [name, formula] of Object.entries(config.competency_formulas || {})) {
+      const scored = finalScores.competencies[name] || { raw: 0, weight: 0, weighted: 0 };
+      const result = formulaEvaluator.compute(formula, variables);
+      const policy = scorePolicy.getPolicy(config, name);
+
+      competencies[name] = {
+        formula: formula,
+        substituted: formulaEvaluator.substitute(formula, variables),
+        result: this.roundValue(result),
+        score: this.roundValue(scored.raw),
+        clamped: scorePolicy.apply(result, policy).clamped,
+        policy: policy,
+        weight: scored.weight,
+        contribution: this.roundValue(scored.weighted),
+        contribution_percent: totalWeighted !== 0
+          ? this.roundValue((scored.weighted / totalWeighted) * 100)
+          : 0,
+        sensitivity: competencySensitivity[name] || {}
+      };
+    }
+
+    const values = {};
+    for (const [name, value] of Object.entries(extracted)) {
+      values[name] = this.roundValue(value);
+    }
+
+    return {
+      variables: values,
+      derived_variables: derived,
+      competencies: competencies,
+      sensitivity: sensitivity,
+      final_score: finalScores.final_score
+    };
+  }
+
+  /**
+   * Extracted variables the formulas depend on, directly or through derived variables
+   */
+  getInputVariables(config, extracted) {
+    const formulas = [
+      ...Object.values(config.competency_formulas || {}),
+      ...Object.values(config.derived_variables || {})
+    ];
+    const names = new Set();
+
+    for (const formula of formulas) {
+      for (const name of formulaEvaluator.getFormulaVariables(formula)) {
+        if (typeof extracted[name] === 'number' && isFinite(extracted[name])) {
+          names.add(name);
+        }
+      }
+    }
+
+    return [...names];
+  }
+
+  /**
+   * Re-run the scoring pipeline on a set of extracted variables, without logging
+   * @returns {object} - { scores: { competency: clamped score }, final_score }
+   */
+  scoreVariables(config, extracted) {
+    const variables = { ...extracted };
+    const derived = config.derived_variables || {};
+
+    for (const name of Object.keys(derived).length > 0 ? derivedVariables.resolveOrder(derived) : []) {
+      variables[name] = formulaEvaluator.compute(derived[name], variables);
+    }
+
+    const scores = {};
+    let finalScore = 0;
+
+    for (const [name, formula] of Object.entries(config.competency_formulas || {})) {
+      // Unrounded, so small changes stay visible to the sensitivity analysis
+      const policy = { ...scorePolicy.getPolicy(config, name), decimals: null };
+      scores[name] = scorePolicy.apply(formulaEvaluator.compute(formula, variables), policy).score;
+      finalScore += scores[name] * ((config.final_weights || {})[name] || 0);
+    }
+
+    return { scores, final_score: finalScore };
+  }
+
+  roundValue(value) {
+    return typeof value === 'number' && isFinite(value) ? parseFloat(value.toFixed(4)) : value;
+  }
+
+  /**
+   * Get the values the variables of a formula had
+   * (includes derived variables)
+   */
+  getVariableValues(formula, variables) {
+    const used = {};
+
+    for (const name of formulaEvaluator.getFormulaVariables(formula)) {
+      used[name] = variables[name];
+    }
+
+    return used;
+  }
+
   /**
    * Apply weights to competency scores
    */
@@ -81,6 +380,11 @@ class ScoringCalculator {
         weighted: weighted
       };
 
+      if (data.variables_used) {
+        result.competencies[name].variables_used = data.variables_used;
+        result.competencies[name].variable_values = data.variable_values;
+      }
+
       totalWeighted += weighted;
     }
 
@@ -92,7 +396,7 @@ class ScoringCalculator {
   /**
    * Extract raw statistics from game data
    */
-  extractRawStats(rawData) {
+  extractRawStats(rawData, config = {}) {
     const stats = {};
 
     if (Array.isArray(rawData)) {
@@ -103,6 +407,13 @@ class ScoringCalculator {
       stats.avg_time_per_response = stats.total_attempts > 0
         ? stats.total_time / stats.total_attempts
         : 0;
+
+      // Record which responses the outlier policy excluded
+      const outlierPolicy = variableExtractor.getOutlierPolicy(config);
+      const outliers = variableExtractor.findOutliers(times, outlierPolicy);
+      stats.outlier_policy = outlierPolicy;
+      stats.outliers_excluded = outliers.size;
+      stats.outlier_indices = [...outliers];
     } else if (typeof rawData === 'object') {
       // For object-based games like sudoku
       stats.correct_entries = rawData.correct_entries || 0;
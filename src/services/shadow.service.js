@@ -0,0 +1,280 @@
+const supabase = require('../config/supabase');
+const scoringCalculator = require('./scoringCalculator');
+const calculatorService = require('./calculator.service');
+const statistics = require('./statistics');
+const revisionService = require('./revision.service');
+
+const PAGE_SIZE = 1000;
+const DEFAULT_DISAGREEMENTS = 10;
+
+/**
+ * Shadow scoring
+ * Shadow versions are candidate versions scored next to the live version on
+ * every submission. Their scores go to shadow_scores (never to final_scores)
+ * so a candidate can be compared against real traffic before activation.
+ * AI-scored games reuse the live submission's AI scores.
+ */
+class ShadowService {
+
+  /**
+   * Get the enabled shadow versions of a game
+   */
+  async getShadows(gameType) {
+    const { data, error } = await supabase
+      .from('shadow_versions')
+      .select('*, scoring_version:scoring_versions(id, version_name, status, config)')
+      .eq('game_type', gameType)
+      .eq('enabled', true)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to get shadow versions: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Start shadow scoring a version
+   * @returns {object} - { shadow } or { status, error }
+   */
+  async addShadow(gameType, versionName, userId = null) {
+    const { data: version, error } = await supabase
+      .from('scoring_versions')
+      .select('id, version_name, is_active')
+      .eq('game_type', gameType)
+      .eq('version_name', versionName)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+
+    if (!version) {
+      return { status: 404, error: `Version ${versionName} not found for ${gameType}` };
+    }
+    if (version.is_active) {
+      return { status: 400, error: `${versionName} is the active version of ${gameType}` };
+    }
+
+    const { data: shadow, error: insertError } = await supabase
+      .from('shadow_versions')
+      .insert({
+        game_type: gameType,
+        scoring_version_id: version.id,
+        version_name: version.version_name,
+        enabled: true,
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505') {
+        return { status: 409, error: `${versionName} is already shadow scored` };
+      }
+      throw new Error(`Failed to save shadow version: ${insertError.message}`);
+    }
+
+    return { shadow };
+  }
+
+  /**
+   * Stop shadow scoring a version (its stored scores are kept for the report)
+   * @returns {object|null} - null when it was not shadow scored
+   */
+  async removeShadow(gameType, versionName) {
+    const { data, error } = await supabase
+      .from('shadow_versions')
+      .update({ enabled: false, disabled_at: new Date().toISOString() })
+      .eq('game_type', gameType)
+      .eq('version_name', versionName)
+      .eq('enabled', true)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to remove shadow version: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Score a submission with every shadow version of its game and store the results
+   * Never throws: shadow failures are logged (and stored per version) only
+   * @param {object} liveVersion - Version that produced final_scores
+   * @param {object} inputData - raw_data or response_data
+   * @param {object} aiScores - AI scores of the live submission (AI-scored games)
+   * @returns {number} - Number of shadow versions scored
+   */
+  async scoreShadows(gameType, sessionId, liveVersion, inputData, aiScores = null) {
+    try {
+      const shadows = (await this.getShadows(gameType))
+        .filter(shadow => shadow.scoring_version_id !== liveVersion.id && shadow.scoring_version);
+
+      if (shadows.length === 0) return 0;
+
+      const rows = shadows.map(shadow => {
+        const row = {
+          session_id: sessionId,
+          game_type: gameType,
+          scoring_version_id: shadow.scoring_version_id,
+          live_version_id: liveVersion.id,
+          scores: null,
+          error: null
+        };
+
+        try {
+          row.scores = this.calculate(gameType, shadow.scoring_version.config, inputData, aiScores);
+        } catch (error) {
+          row.error = error.message;
+        }
+
+        return row;
+      });
+
+      const { error } = await supabase
+        .from('shadow_scores')
+        .insert(rows);
+
+      if (error) throw new Error(error.message);
+
+      return rows.length;
+    } catch (error) {
+      console.error(`Shadow scoring failed for session ${sessionId}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Scores a shadow version would have produced, through the same path as
+   * the live submission (AI submissions carry aiScores)
+   */
+  calculate(gameType, config, inputData, aiScores) {
+    if (aiScores) {
+      return calculatorService.calculateScores(gameType, inputData, config, aiScores);
+    }
+
+    const { diagnostics, explanation, ...scores } = scoringCalculator.calculateScores(
+      gameType,
+      config,
+      inputData,
+      { reliability: false, explanation: false, quiet: true }
+    );
+    return scores;
+  }
+
+  /**
+   * Compare a shadow version with the live scores of the same sessions
+   * @param {number} limit - Number of largest disagreements to list
+   * @returns {object|null} - null when the version does not exist
+   */
+  async getReport(gameType, versionName, limit = DEFAULT_DISAGREEMENTS) {
+    const { data: version, error } = await supabase
+      .from('scoring_versions')
+      .select('id, version_name, status')
+      .eq('game_type', gameType)
+      .eq('version_name', versionName)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to get scoring version: ${error.message}`);
+    if (!version) return null;
+
+    const rows = await this.getShadowScores(version.id);
+    const pairs = rows
+      .filter(row => row.scores && row.session?.final_scores)
+      .map(row => ({
+        session_id: row.session_id,
+        live: row.session.final_scores,
+        shadow: row.scores
+      }));
+
+    return {
+      game_type: gameType,
+      version_name: version.version_name,
+      status: version.status,
+      sessions: pairs.length,
+      failures: rows.filter(row => row.error).length,
+      ...this.compare(pairs, limit)
+    };
+  }
+
+  /**
+   * Mean difference (shadow - live), correlation and largest disagreements
+   * for the final score and every competency
+   */
+  compare(pairs, limit = DEFAULT_DISAGREEMENTS) {
+    const round = value => parseFloat(value.toFixed(4));
+    const metrics = {};
+
+    const add = (metric, sessionId, live, shadow) => {
+      if (typeof live !== 'number' || typeof shadow !== 'number') return;
+      const entry = metrics[metric] = metrics[metric] || { live: [], shadow: [], sessions: [] };
+      entry.live.push(live);
+      entry.shadow.push(shadow);
+      entry.sessions.push(sessionId);
+    };
+
+    for (const pair of pairs) {
+      add('final_score', pair.session_id, pair.live.final_score, pair.shadow.final_score);
+      for (const [name, competency] of Object.entries(pair.shadow.competencies || {})) {
+        add(name, pair.session_id, pair.live.competencies?.[name]?.raw, competency?.raw);
+      }
+    }
+
+    const summary = {};
+    for (const [metric, entry] of Object.entries(metrics)) {
+      const differences = entry.shadow.map((value, index) => value - entry.live[index]);
+      const largest = differences.reduce((best, value, index) =>
+        (Math.abs(value) > Math.abs(differences[best]) ? index : best), 0);
+
+      summary[metric] = {
+        sample_size: differences.length,
+        live_mean: round(statistics.mean(entry.live)),
+        shadow_mean: round(statistics.mean(entry.shadow)),
+        mean_difference: round(statistics.mean(differences)),
+        mean_absolute_difference: round(statistics.mean(differences.map(Math.abs))),
+        correlation: round(statistics.correlation(entry.live, entry.shadow)),
+        largest_difference: {
+          session_id: entry.sessions[largest],
+          difference: round(differences[largest])
+        }
+      };
+    }
+
+    const finalScores = metrics.final_score;
+    const disagreements = finalScores
+      ? finalScores.sessions
+        .map((sessionId, index) => ({
+          session_id: sessionId,
+          live: finalScores.live[index],
+          shadow: finalScores.shadow[index],
+          difference: round(finalScores.shadow[index] - finalScores.live[index])
+        }))
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+        .slice(0, limit)
+      : [];
+
+    return { metrics: summary, largest_disagreements: disagreements };
+  }
+
+  /**
+   * Load a shadow version's scores with the live final_scores of each session
+   * (the scores given at submission, also for sessions rescored since)
+   */
+  async getShadowScores(versionId) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('shadow_scores')
+        .select('session_id, scores, error, session:test_sessions(id, final_scores, score_revision)')
+        .eq('scoring_version_id', versionId)
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to get shadow scores: ${error.message}`);
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    await revisionService.withOriginalScores(rows.map(row => row.session));
+    return rows;
+  }
+}
+
+module.exports = new ShadowService();
@@ -0,0 +1,217 @@
+/**
+ * Descriptive statistics helpers shared by the variable extractors
+ * All functions return 0 for empty input so formulas never see NaN
+ */
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : 0;
+}
+
+/**
+ * Population standard deviation
+ */
+function stdDev(values) {
+  if (values.length === 0) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((total, value) => total + Math.pow(value - avg, 2), 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ * @param {array} values - Numbers (any order)
+ * @param {number} p - Percentile 0-100
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (Math.max(0, Math.min(100, p)) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Median absolute deviation, scaled by 1.4826 so it estimates the
+ * standard deviation for normally distributed data
+ */
+function mad(values) {
+  if (values.length === 0) return 0;
+  const center = median(values);
+  return median(values.map(value => Math.abs(value - center))) * 1.4826;
+}
+
+/**
+ * Mean after dropping the given share of values from each end
+ * @param {array} values - Numbers (any order)
+ * @param {number} trimPercent - Percent to trim from each side (0-50)
+ */
+function trimmedMean(values, trimPercent) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const cut = Math.floor(sorted.length * Math.max(0, Math.min(50, trimPercent)) / 100);
+  const kept = sorted.slice(cut, sorted.length - cut);
+  return mean(kept.length > 0 ? kept : sorted);
+}
+
+/**
+ * Values inside Tukey's fences [Q1 - 1.5 IQR, Q3 + 1.5 IQR]
+ */
+function withinIqrFences(values) {
+  if (values.length === 0) return [];
+  const q1 = percentile(values, 25);
+  const q3 = percentile(values, 75);
+  const fence = (q3 - q1) * 1.5;
+  return values.filter(value => value >= q1 - fence && value <= q3 + fence);
+}
+
+/**
+ * Least-squares slope of values against their position (0, 1, 2, ...)
+ */
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+
+  const meanX = (n - 1) / 2;
+  const meanY = mean(values);
+  let covariance = 0;
+  let varianceX = 0;
+
+  values.forEach((value, index) => {
+    covariance += (index - meanX) * (value - meanY);
+    varianceX += Math.pow(index - meanX, 2);
+  });
+
+  return covariance / varianceX;
+}
+
+/**
+ * Pearson correlation of paired values (0 when either side is constant)
+ */
+function correlation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return 0;
+
+  const meanX = mean(xs.slice(0, n));
+  const meanY = mean(ys.slice(0, n));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(xs[i] - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  }
+
+  if (varianceX === 0 || varianceY === 0) return 0;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Ranks of values (1 = smallest), ties get the average of their ranks
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Spearman rank-order correlation of paired values
+ */
+function rankCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  return correlation(ranks(xs.slice(0, n)), ranks(ys.slice(0, n)));
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability strictly between 0 and 1
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ * Used where results must be reproducible, e.g. bootstrap resampling
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash of a string (seed for seededRandom)
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  sum,
+  mean,
+  stdDev,
+  percentile,
+  median,
+  mad,
+  trimmedMean,
+  withinIqrFences,
+  slope,
+  correlation,
+  rankCorrelation,
+  normalQuantile,
+  seededRandom,
+  hashString
+};
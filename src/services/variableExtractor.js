@@ -1,3 +1,16 @@
+const statistics = require('./statistics');
+const gameRegistry = require('./gameRegistry');
+
+const DEFAULT_OUTLIER_POLICY = {
+  min_time: 0.15,       // seconds - faster responses are anticipations
+  max_time: null,       // seconds - optional absolute ceiling
+  mad_threshold: 3,     // exclude responses more than N MADs from the median
+  trim_percent: 10      // percent trimmed from each end for time_trimmed_mean
+};
+
+const RULE_AGGREGATES = ['count', 'sum', 'mean', 'median', 'min', 'max', 'std_dev', 'percentile'];
+const RULE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+
 /**
  * Extract variables from raw game data for formula evaluation
  */
@@ -18,28 +31,14 @@ class VariableExtractor {
     }
 
     // Extract game-specific variables
-    switch (gameType) {
-      case 'mental_math_sprint':
-        this.extractMentalMathVariables(variables, rawData, config);
-        break;
-
-      case 'stroop_test':
-        this.extractStroopVariables(variables, rawData, config);
-        break;
-
-      case 'sign_sudoku':
-        this.extractSudokuVariables(variables, rawData, config);
-        break;
-
-      case 'face_name_match':
-        this.extractFaceNameVariables(variables, rawData, config);
-        break;
-
-      case 'card_flip_challenge':
-        this.extractCardFlipVariables(variables, rawData, config);
-        break;
+    const game = gameRegistry.get(gameType);
+    if (game && game.extractVariables) {
+      game.extractVariables(variables, rawData, config);
     }
 
+    // Extract variables declared as rules in the scoring version
+    this.extractCustomVariables(variables, rawData, config);
+
     return variables;
   }
 
@@ -78,108 +77,265 @@ class VariableExtractor {
     // Configuration-based variables
     variables.time_limit = config.settings?.time_limit || 5;
     variables.time_left = Math.max(0, variables.time_limit - variables.avg_time);
+
+    // Outlier-resistant response time statistics
+    this.extractRobustTimeVariables(variables, times, config);
+
+    // Order-aware statistics (fatigue, learning, post-error slowing)
+    this.extractSequenceVariables(variables, rawData);
   }
 
   /**
-   * Extract Mental Math Sprint specific variables
+   * Extract variables that depend on trial order
    */
-  extractMentalMathVariables(variables, rawData, config) {
-    // All common variables are sufficient
-    // Add any mental math specific calculations here if needed
+  extractSequenceVariables(variables, rawData) {
+    const times = rawData.map(item => item.time_taken || 0);
+    const half = Math.floor(rawData.length / 2);
+    const accuracyOf = items => (items.length > 0
+      ? (items.filter(item => item.is_correct).length / items.length) * 100
+      : 0);
+
+    // Fatigue: change in response time per trial (positive = slowing down)
+    variables.time_slope = statistics.slope(times);
+
+    // Learning: accuracy change from the first half to the second half
+    variables.first_half_accuracy = accuracyOf(rawData.slice(0, half));
+    variables.second_half_accuracy = accuracyOf(rawData.slice(half));
+    variables.accuracy_delta = half > 0
+      ? variables.second_half_accuracy - variables.first_half_accuracy
+      : 0;
+
+    // Post-error slowing: mean time after an error minus mean time after a correct answer
+    const afterError = [];
+    const afterCorrect = [];
+    for (let i = 1; i < rawData.length; i++) {
+      (rawData[i - 1].is_correct ? afterCorrect : afterError).push(times[i]);
+    }
+    variables.post_error_slowing = afterError.length > 0 && afterCorrect.length > 0
+      ? statistics.mean(afterError) - statistics.mean(afterCorrect)
+      : 0;
+
+    // Longest run of consecutive correct answers
+    let streak = 0;
+    variables.longest_correct_streak = 0;
+    for (const item of rawData) {
+      streak = item.is_correct ? streak + 1 : 0;
+      variables.longest_correct_streak = Math.max(variables.longest_correct_streak, streak);
+    }
   }
 
   /**
-   * Extract Stroop Test specific variables
+   * Extract robust response time statistics
+   * Outliers are excluded according to config.settings.outlier_policy
    */
-  extractStroopVariables(variables, rawData, config) {
-    if (!Array.isArray(rawData)) return;
+  extractRobustTimeVariables(variables, times, config) {
+    const policy = this.getOutlierPolicy(config);
+    const outliers = this.findOutliers(times, policy);
+    const kept = times.filter((time, index) => !outliers.has(index));
 
-    variables.interference_items = rawData.filter(item => item.is_interference).length;
-    variables.interference_correct = rawData.filter(
-      item => item.is_interference && item.is_correct
-    ).length;
-    variables.interference_errors = variables.interference_items - variables.interference_correct;
-    variables.interference_accuracy = variables.interference_items > 0
-      ? (variables.interference_correct / variables.interference_items) * 100
-      : 0;
+    variables.time_median = statistics.median(times);
+    variables.time_trimmed_mean = statistics.trimmedMean(times, policy.trim_percent);
+    variables.time_mad = statistics.mad(times);
+    variables.time_iqr_mean = statistics.mean(statistics.withinIqrFences(times));
+    variables.time_cv = variables.avg_time > 0 ? variables.time_std_dev / variables.avg_time : 0;
+    variables.clean_avg_time = statistics.mean(kept);
+    variables.outliers_excluded = outliers.size;
   }
 
   /**
-   * Extract Sign Sudoku specific variables
+   * Get the outlier policy for a scoring configuration (defaults filled in)
    */
-  extractSudokuVariables(variables, rawData, config) {
-    // For sudoku, rawData is an object
-    Object.assign(variables, {
-      correct_entries: rawData.correct_entries || 0,
-      incorrect_entries: rawData.incorrect_entries || 0,
-      total_empty_cells: rawData.total_empty_cells || 0,
-      time_left_sec: rawData.time_left_sec || 0,
-      total_time_allowed: rawData.total_time_allowed || 60,
-      total_attempts: rawData.total_attempts || 0,
-      avg_time_per_correct_entry: rawData.avg_time_per_correct_entry || 0,
-      difficulty_multiplier: rawData.difficulty_multiplier || 1.0,
-      correct_first_attempts: rawData.correct_first_attempts || 0
+  getOutlierPolicy(config) {
+    return {
+      ...DEFAULT_OUTLIER_POLICY,
+      ...(config?.settings?.outlier_policy || {})
+    };
+  }
+
+  /**
+   * Find response times excluded by the outlier policy
+   * @returns {Set} - Indices of the excluded times
+   */
+  findOutliers(times, policy) {
+    const outliers = new Set();
+    const center = statistics.median(times);
+    const spread = statistics.mad(times);
+
+    times.forEach((time, index) => {
+      const tooFast = typeof policy.min_time === 'number' && time < policy.min_time;
+      const tooSlow = typeof policy.max_time === 'number' && time > policy.max_time;
+      const farFromMedian = typeof policy.mad_threshold === 'number' && spread > 0 &&
+        Math.abs(time - center) > policy.mad_threshold * spread;
+
+      if (tooFast || tooSlow || farFromMedian) outliers.add(index);
     });
 
-    // Calculate derived variables
-    const safeTotal = Math.max(0, variables.total_empty_cells);
-    if (safeTotal > 0) {
-      const completion = (variables.correct_entries / safeTotal) * 100;
-      const accuracy = ((variables.correct_entries - variables.incorrect_entries) / safeTotal) * 100;
-      // Clamp to [0,100] to avoid negative or >100 values
-      variables.completion_percent = Math.max(0, Math.min(100, completion));
-      variables.accuracy_percent = Math.max(0, Math.min(100, accuracy));
-    } else {
-      variables.completion_percent = 0;
-      variables.accuracy_percent = 0;
-    }
+    return outliers;
+  }
 
-    // If total_attempts not provided, infer from entries
-    if (!variables.total_attempts) {
-      const inferred = variables.correct_entries + variables.incorrect_entries;
-      variables.total_attempts = inferred;
+  /**
+   * Extract variables declared in config.custom_variables
+   * Each rule aggregates a field over the (filtered) raw_data items, e.g.
+   * { aggregate: 'mean', field: 'time_taken', where: { is_interference: true } }
+   */
+  extractCustomVariables(variables, rawData, config) {
+    for (const [name, rule] of Object.entries(config?.custom_variables || {})) {
+      variables[name] = this.evaluateRule(rule, rawData);
     }
   }
 
   /**
-   * Extract Face-Name Match specific variables
+   * Evaluate a single aggregation rule against raw data
    */
-  extractFaceNameVariables(variables, rawData, config) {
-    if (!Array.isArray(rawData)) return;
+  evaluateRule(rule, rawData) {
+    const items = rule.source ? this.getPath(rawData, rule.source) : rawData;
+    if (!Array.isArray(items)) return 0;
 
-    variables.learning_phase_items = rawData.filter(item => item.phase === 'learning').length;
-    variables.recall_phase_items = rawData.filter(item => item.phase === 'recall').length;
-    variables.new_face_items = rawData.filter(item => item.is_new_face).length;
-    variables.new_face_correct = rawData.filter(item => item.is_new_face && item.is_correct).length;
-    variables.learned_face_items = rawData.filter(item => !item.is_new_face).length;
-    variables.learned_face_correct = rawData.filter(item => !item.is_new_face && item.is_correct).length;
+    const matching = items.filter(item => this.matchesWhere(item, rule.where));
+    if (rule.aggregate === 'count') return matching.length;
+
+    const values = matching
+      .map(item => Number(this.getPath(item, rule.field)))
+      .filter(value => isFinite(value));
+
+    if (values.length === 0) return 0;
+
+    switch (rule.aggregate) {
+      case 'sum':
+        return statistics.sum(values);
+      case 'mean':
+        return statistics.mean(values);
+      case 'median':
+        return statistics.median(values);
+      case 'min':
+        return Math.min(...values);
+      case 'max':
+        return Math.max(...values);
+      case 'std_dev':
+        return statistics.stdDev(values);
+      case 'percentile':
+        return statistics.percentile(values, rule.percentile);
+      default:
+        return 0;
+    }
   }
 
   /**
-   * Extract Card Flip Challenge specific variables
+   * Check an item against a where clause
+   * Plain values compare for equality; objects use operators (eq, ne, gt, gte, lt, lte, in)
    */
-  extractCardFlipVariables(variables, rawData, config) {
-    Object.assign(variables, {
-      correct_pairs: rawData.correct_pairs || 0,
-      total_pairs: rawData.total_pairs || 0,
-      total_flips: rawData.total_flips || 0,
-      minimum_flips: rawData.minimum_flips || 0,
-      time_taken: rawData.time_taken || 0,
-      time_limit: rawData.time_limit || 60,
-      efficiency: 0
+  matchesWhere(item, where) {
+    if (!where) return true;
+
+    return Object.entries(where).every(([field, condition]) => {
+      const value = this.getPath(item, field);
+
+      if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return value === condition;
+      }
+
+      return Object.entries(condition).every(([operator, expected]) => {
+        switch (operator) {
+          case 'eq': return value === expected;
+          case 'ne': return value !== expected;
+          case 'gt': return value > expected;
+          case 'gte': return value >= expected;
+          case 'lt': return value < expected;
+          case 'lte': return value <= expected;
+          case 'in': return Array.isArray(expected) && expected.includes(value);
+          default: return false;
+        }
+      });
     });
+  }
+
+  /**
+   * Read a dotted path like "response.time_taken" from an object
+   */
+  getPath(object, path) {
+    if (!path) return undefined;
+    return String(path).split('.').reduce(
+      (current, key) => (current === null || current === undefined ? undefined : current[key]),
+      object
+    );
+  }
+
+  /**
+   * Validate custom variable rules before saving a scoring version
+   * @returns {array} - Error messages (empty when valid)
+   */
+  validateCustomVariables(customVariables, gameType) {
+    const errors = [];
+    if (!customVariables) return errors;
+
+    if (typeof customVariables !== 'object' || Array.isArray(customVariables)) {
+      return ['custom_variables must be an object of { name: rule }'];
+    }
+
+    const builtIn = this.getVariableNames(gameType);
+
+    for (const [name, rule] of Object.entries(customVariables)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push(`Custom variable name ${name} must be a valid identifier`);
+      }
+      if (builtIn.includes(name)) {
+        errors.push(`Custom variable ${name} conflicts with a built-in variable`);
+      }
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`Custom variable ${name} must be a rule object`);
+        continue;
+      }
+      if (!RULE_AGGREGATES.includes(rule.aggregate)) {
+        errors.push(`Custom variable ${name} has unknown aggregate ${rule.aggregate} (expected one of ${RULE_AGGREGATES.join(', ')})`);
+      }
+      if (rule.aggregate !== 'count' && !rule.field) {
+        errors.push(`Custom variable ${name} needs a field to ${rule.aggregate}`);
+      }
+      if (rule.aggregate === 'percentile' && !(typeof rule.percentile === 'number' && rule.percentile >= 0 && rule.percentile <= 100)) {
+        errors.push(`Custom variable ${name} needs a percentile between 0 and 100`);
+      }
+      if (rule.where !== undefined && (rule.where === null || typeof rule.where !== 'object' || Array.isArray(rule.where))) {
+        errors.push(`Custom variable ${name} has an invalid where clause`);
+        continue;
+      }
 
-    // Calculate efficiency
-    if (variables.minimum_flips > 0) {
-      variables.efficiency = (variables.minimum_flips / variables.total_flips) * 100;
+      for (const [field, condition] of Object.entries(rule.where || {})) {
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) continue;
+        for (const operator of Object.keys(condition)) {
+          if (!RULE_OPERATORS.includes(operator)) {
+            errors.push(`Custom variable ${name} uses unknown operator ${operator} on ${field}`);
+          }
+        }
+      }
     }
+
+    return errors;
+  }
+
+  /**
+   * Describe a custom variable rule for the variable catalog
+   */
+  describeRule(rule) {
+    if (rule.description) return rule.description;
+
+    const target = rule.aggregate === 'count'
+      ? 'Count of items'
+      : rule.aggregate === 'percentile'
+        ? `Percentile ${rule.percentile} of ${rule.field}`
+        : `${rule.aggregate} of ${rule.field}`;
+    const source = rule.source ? ` in ${rule.source}` : '';
+    const where = rule.where ? ` where ${JSON.stringify(rule.where)}` : '';
+
+    return `${target}${source}${where}`;
   }
 
   /**
    * Get available variables for a specific game type
    * Returns variable names and descriptions
+   * (common variables only for games with trial arrays, custom variables
+   * from the scoring configuration, when given)
    */
-  getAvailableVariables(gameType) {
+  getAvailableVariables(gameType, config = null) {
     const commonVariables = {
       total: 'Total number of questions',
       correct: 'Number of correct answers',
@@ -191,51 +347,114 @@ class VariableExtractor {
       max_time: 'Slowest question time',
       time_std_dev: 'Standard deviation of response times',
       time_limit: 'Time limit per question',
-      time_left: 'Average time remaining per question'
+      time_left: 'Average time remaining per question',
+      time_median: 'Median response time',
+      time_trimmed_mean: 'Mean response time after trimming the fastest and slowest (trim_percent each side)',
+      time_mad: 'Median absolute deviation of response times (scaled to estimate the standard deviation)',
+      time_iqr_mean: 'Mean response time within the IQR fences (Q1 - 1.5 IQR, Q3 + 1.5 IQR)',
+      time_cv: 'Coefficient of variation of response times (std dev / mean)',
+      clean_avg_time: 'Mean response time after excluding outliers (settings.outlier_policy)',
+      outliers_excluded: 'Number of responses excluded as outliers',
+      time_slope: 'Change in response time per trial (positive = slowing down, fatigue)',
+      first_half_accuracy: 'Accuracy percentage over the first half of trials',
+      second_half_accuracy: 'Accuracy percentage over the second half of trials',
+      accuracy_delta: 'Second-half minus first-half accuracy (positive = learning)',
+      post_error_slowing: 'Mean time after an error minus mean time after a correct answer',
+      longest_correct_streak: 'Longest run of consecutive correct answers'
     };
 
-    const gameSpecificVariables = {
-      stroop_test: {
-        interference_items: 'Number of interference items',
-        interference_correct: 'Correct interference answers',
-        interference_errors: 'Incorrect interference answers',
-        interference_accuracy: 'Interference accuracy percentage'
-      },
-      sign_sudoku: {
-        correct_entries: 'Number of correct entries',
-        incorrect_entries: 'Number of incorrect entries',
-        total_empty_cells: 'Total empty cells to fill',
-        time_left_sec: 'Time remaining in seconds',
-        total_time_allowed: 'Total time allowed',
-        total_attempts: 'Total number of attempts',
-        avg_time_per_correct_entry: 'Average time per correct entry',
-        difficulty_multiplier: 'Difficulty multiplier (1.0, 1.5, 2.0)',
-        correct_first_attempts: 'Correct on first try',
-        completion_percent: 'Completion percentage',
-        accuracy_percent: 'Accuracy percentage'
-      },
-      face_name_match: {
-        learning_phase_items: 'Items in learning phase',
-        recall_phase_items: 'Items in recall phase',
-        new_face_items: 'Number of new faces',
-        new_face_correct: 'Correct new face identifications',
-        learned_face_items: 'Number of learned faces',
-        learned_face_correct: 'Correct learned face identifications'
-      },
-      card_flip_challenge: {
-        correct_pairs: 'Number of correct pairs matched',
-        total_pairs: 'Total pairs in game',
-        total_flips: 'Total number of flips',
-        minimum_flips: 'Minimum flips needed',
-        time_taken: 'Total time taken',
-        time_limit: 'Time limit',
-        efficiency: 'Efficiency percentage'
-      }
+    const gameSpecificVariables = {};
+    for (const [name, variable] of Object.entries(gameRegistry.get(gameType)?.variables || {})) {
+      gameSpecificVariables[name] = variable.description;
+    }
+
+    const customVariables = {};
+    for (const [name, rule] of Object.entries(config?.custom_variables || {})) {
+      customVariables[name] = this.describeRule(rule || {});
+    }
+
+    return {
+      common: gameRegistry.hasTrialInput(gameType) ? commonVariables : {},
+      specific: gameSpecificVariables,
+      custom: customVariables
     };
+  }
+
+  /**
+   * Get the names of all variables available for a game type
+   */
+  getVariableNames(gameType, config = null) {
+    const { common, specific, custom } = this.getAvailableVariables(gameType, config);
+    return [...new Set([...Object.keys(common), ...Object.keys(specific), ...Object.keys(custom)])];
+  }
+
+  /**
+   * Game types with a variable extractor
+   */
+  getSupportedGameTypes() {
+    return gameRegistry.getTypes().filter(gameType => gameRegistry.supportsFormulaScoring(gameType));
+  }
+
+  /**
+   * Get the game types (other than the given one) that provide a variable
+   */
+  getGamesProvidingVariable(name, excludeGameType = null) {
+    return this.getSupportedGameTypes().filter(gameType =>
+      gameType !== excludeGameType && this.getVariableNames(gameType).includes(name)
+    );
+  }
+
+  /**
+   * Get the known value range of each variable for a game type
+   * Returns { name: [min, max] } - used for static formula analysis
+   * (like getAvailableVariables, common variables only for trial arrays)
+   */
+  getVariableBounds(gameType, config = null) {
+    const count = [0, Infinity];
+    const percent = [0, 100];
+    const seconds = [0, Infinity];
+
+    const commonBounds = {
+      total: count,
+      correct: count,
+      incorrect: count,
+      accuracy_percent: percent,
+      total_time: seconds,
+      avg_time: seconds,
+      min_time: seconds,
+      max_time: seconds,
+      time_std_dev: seconds,
+      time_limit: [1, Infinity], // falls back to 5 when not configured
+      time_left: seconds,
+      time_median: seconds,
+      time_trimmed_mean: seconds,
+      time_mad: seconds,
+      time_iqr_mean: seconds,
+      time_cv: [0, Infinity],
+      clean_avg_time: seconds,
+      outliers_excluded: count,
+      time_slope: [-Infinity, Infinity],
+      first_half_accuracy: percent,
+      second_half_accuracy: percent,
+      accuracy_delta: [-100, 100],
+      post_error_slowing: [-Infinity, Infinity],
+      longest_correct_streak: count
+    };
+
+    const gameSpecificBounds = {};
+    for (const [name, variable] of Object.entries(gameRegistry.get(gameType)?.variables || {})) {
+      gameSpecificBounds[name] = variable.bounds || [-Infinity, Infinity];
+    }
+
+    const customBounds = {};
+    for (const [name, rule] of Object.entries(config?.custom_variables || {})) {
+      customBounds[name] = rule && rule.aggregate === 'count' ? count : [-Infinity, Infinity];
+    }
 
     return {
-      common: commonVariables,
-      specific: gameSpecificVariables[gameType] || {}
+      ...(gameRegistry.hasTrialInput(gameType) ? commonBounds : {}),
+      ...gameSpecificBounds,
+      ...customBounds
     };
   }
 }
@@ -0,0 +1,4 @@
+-- Strict evaluation mode: sessions whose formulas failed are stored with
+-- status 'needs_review' and the evaluation diagnostics next to final_scores
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS evaluation_diagnostics jsonb;
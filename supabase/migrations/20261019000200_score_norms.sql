@@ -0,0 +1,18 @@
+-- Population norms per scoring version, rebuilt by the norms recompute job
+-- (npm run norms:recompute). group_key is 'all', 'age_band:<band>' or
+-- 'cohort:<cohort>'; metrics holds { metric: { sample_size, mean, std_dev, quantiles } }
+CREATE TABLE IF NOT EXISTS score_norms (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_type text NOT NULL,
+  scoring_version_id uuid NOT NULL REFERENCES scoring_versions(id) ON DELETE CASCADE,
+  group_key text NOT NULL DEFAULT 'all',
+  sample_size integer NOT NULL DEFAULT 0,
+  metrics jsonb NOT NULL DEFAULT '{}'::jsonb,
+  computed_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (scoring_version_id, group_key)
+);
+
+-- Optional norm grouping fields recorded with each submission
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS age_band text,
+  ADD COLUMN IF NOT EXISTS cohort text;
@@ -0,0 +1,5 @@
+-- Explanation trace of formula-scored sessions: extracted variables, formulas
+-- with substituted values, clamping, contributions and variable sensitivities
+-- (served by GET /api/games/sessions/:id/explain)
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS score_explanation jsonb;
@@ -0,0 +1,17 @@
+-- Mapping from game competencies to the global competencies of the user
+-- profile (GET /api/users/:userId/profile). Only one mapping is active;
+-- without one the default in src/config/competencyProfile.js is used
+CREATE TABLE IF NOT EXISTS profile_mappings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  mapping jsonb NOT NULL,
+  is_active boolean NOT NULL DEFAULT false,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS profile_mappings_one_active
+  ON profile_mappings (is_active) WHERE is_active;
+
+-- Profiles read a user's completed sessions
+CREATE INDEX IF NOT EXISTS test_sessions_user_status_idx
+  ON test_sessions (user_id, status, completed_at DESC);
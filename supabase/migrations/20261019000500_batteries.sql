@@ -0,0 +1,28 @@
+-- Assessment batteries: an ordered set of games, each pinned to a scoring
+-- version. games holds [{ game_type, scoring_version_id, version_name, weight }]
+CREATE TABLE IF NOT EXISTS batteries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  games jsonb NOT NULL,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- One user's run through a battery; composite is stored once every game is completed
+CREATE TABLE IF NOT EXISTS battery_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  battery_id uuid NOT NULL REFERENCES batteries(id) ON DELETE CASCADE,
+  user_id text NOT NULL,
+  status text NOT NULL DEFAULT 'in_progress',
+  composite jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- Games played within a battery session (one per game type)
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS battery_session_id uuid REFERENCES battery_sessions(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS test_sessions_battery_game_idx
+  ON test_sessions (battery_session_id, game_type) WHERE battery_session_id IS NOT NULL;
@@ -0,0 +1,158 @@
+-- Atomic scoring version writes
+-- Saving and activating a version used to deactivate the old version and
+-- activate the new one in separate calls, so a failure could leave a game
+-- without an active version and concurrent saves could leave two.
+-- Both writes now run in one function (one transaction), serialized per game
+-- type, with an optional optimistic concurrency check: when p_check_expected
+-- is true the active version must be p_expected_version (NULL = none active)
+-- or the call fails with SQLSTATE P0409 and the current version in DETAIL.
+
+ALTER TABLE scoring_versions
+  ADD COLUMN IF NOT EXISTS activated_at timestamptz;
+
+-- Zero or several active versions for a game type are repaired by keeping the
+-- most recently activated (then created) version active
+CREATE OR REPLACE FUNCTION repair_active_versions(p_game_type text DEFAULT NULL)
+RETURNS TABLE (game_type text, problem text, active_version text)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game record;
+  v_keep scoring_versions;
+BEGIN
+  FOR v_game IN
+    SELECT sv.game_type, count(*) FILTER (WHERE sv.is_active) AS active_count
+    FROM scoring_versions sv
+    WHERE p_game_type IS NULL OR sv.game_type = p_game_type
+    GROUP BY sv.game_type
+  LOOP
+    CONTINUE WHEN v_game.active_count = 1;
+
+    PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || v_game.game_type));
+
+    SELECT * INTO v_keep
+    FROM scoring_versions sv
+    WHERE sv.game_type = v_game.game_type
+      AND (v_game.active_count = 0 OR sv.is_active)
+    ORDER BY sv.activated_at DESC NULLS LAST, sv.created_at DESC
+    LIMIT 1;
+
+    UPDATE scoring_versions sv
+    SET is_active = false
+    WHERE sv.game_type = v_game.game_type AND sv.is_active AND sv.id <> v_keep.id;
+
+    UPDATE scoring_versions sv
+    SET is_active = true, activated_at = COALESCE(sv.activated_at, now())
+    WHERE sv.id = v_keep.id;
+
+    game_type := v_game.game_type;
+    problem := CASE WHEN v_game.active_count = 0 THEN 'no_active_version' ELSE 'multiple_active_versions' END;
+    active_version := v_keep.version_name;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+-- Repair existing data before enforcing at most one active version per game type
+SELECT * FROM repair_active_versions();
+
+CREATE UNIQUE INDEX IF NOT EXISTS scoring_versions_one_active
+  ON scoring_versions (game_type) WHERE is_active;
+
+CREATE OR REPLACE FUNCTION check_expected_version(
+  p_game_type text,
+  p_expected_version text,
+  p_check_expected boolean
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_current text;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || p_game_type));
+
+  IF NOT p_check_expected THEN
+    RETURN;
+  END IF;
+
+  SELECT version_name INTO v_current
+  FROM scoring_versions
+  WHERE game_type = p_game_type AND is_active;
+
+  IF v_current IS DISTINCT FROM p_expected_version THEN
+    RAISE EXCEPTION 'Active version of % is %, expected %',
+      p_game_type, COALESCE(v_current, 'none'), COALESCE(p_expected_version, 'none')
+      USING ERRCODE = 'P0409', DETAIL = COALESCE(v_current, '');
+  END IF;
+END;
+$$;
+
+-- Insert a new version and make it the only active one
+CREATE OR REPLACE FUNCTION save_scoring_version(
+  p_game_type text,
+  p_config jsonb,
+  p_description text DEFAULT NULL,
+  p_created_by scoring_versions.created_by%TYPE DEFAULT NULL,
+  p_expected_version text DEFAULT NULL,
+  p_check_expected boolean DEFAULT false
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_name text;
+  v_row scoring_versions;
+BEGIN
+  PERFORM check_expected_version(p_game_type, p_expected_version, p_check_expected);
+
+  v_name := COALESCE(get_next_version_name(p_game_type), 'V1');
+
+  UPDATE scoring_versions
+  SET is_active = false
+  WHERE game_type = p_game_type AND is_active;
+
+  INSERT INTO scoring_versions (game_type, version_name, description, is_active, activated_at, config, created_by)
+  VALUES (p_game_type, v_name, COALESCE(p_description, 'Version ' || v_name), true, now(), p_config, p_created_by)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- Make an existing version the only active one
+CREATE OR REPLACE FUNCTION activate_scoring_version(
+  p_game_type text,
+  p_version_name text,
+  p_expected_version text DEFAULT NULL,
+  p_check_expected boolean DEFAULT false
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row scoring_versions;
+BEGIN
+  PERFORM check_expected_version(p_game_type, p_expected_version, p_check_expected);
+
+  IF NOT EXISTS (
+    SELECT 1 FROM scoring_versions
+    WHERE game_type = p_game_type AND version_name = p_version_name
+  ) THEN
+    RAISE EXCEPTION 'Version % not found for %', p_version_name, p_game_type
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  UPDATE scoring_versions
+  SET is_active = false
+  WHERE game_type = p_game_type AND is_active AND version_name <> p_version_name;
+
+  UPDATE scoring_versions
+  SET is_active = true,
+      activated_at = CASE WHEN is_active THEN activated_at ELSE now() END
+  WHERE game_type = p_game_type AND version_name = p_version_name
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
@@ -0,0 +1,250 @@
+-- Scoring version lifecycle: draft -> in_review -> approved -> active -> retired
+-- Saving creates a draft; only approved (or previously active, retired)
+-- versions can be activated, and approval needs a second admin. Every status
+-- change is recorded in scoring_version_transitions.
+--
+-- Allowed transitions:
+--   draft     -> in_review (submit), retired (discard)
+--   in_review -> draft (changes requested), approved (by another admin)
+--   approved  -> active (activate_scoring_version), retired (discard)
+--   active    -> retired (only when another version is activated)
+--   retired   -> active (rollback through activate_scoring_version)
+-- Errors: P0409 active version is not the expected one, P0404 version not
+-- found, P0400 transition not allowed.
+
+ALTER TABLE scoring_versions
+  ADD COLUMN IF NOT EXISTS status text,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+-- Existing versions were live when saved: the active one stays active, the others are retired
+UPDATE scoring_versions
+SET status = CASE WHEN is_active THEN 'active' ELSE 'retired' END
+WHERE status IS NULL;
+
+ALTER TABLE scoring_versions
+  ALTER COLUMN status SET NOT NULL,
+  ALTER COLUMN status SET DEFAULT 'draft',
+  ADD CONSTRAINT scoring_versions_status_check
+    CHECK (status IN ('draft', 'in_review', 'approved', 'active', 'retired')),
+  ADD CONSTRAINT scoring_versions_active_status_check
+    CHECK (is_active = (status = 'active'));
+
+CREATE TABLE IF NOT EXISTS scoring_version_transitions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  scoring_version_id uuid NOT NULL REFERENCES scoring_versions(id) ON DELETE CASCADE,
+  from_status text,
+  to_status text NOT NULL,
+  actor text,
+  note text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS scoring_version_transitions_version_idx
+  ON scoring_version_transitions (scoring_version_id, created_at);
+
+-- Saving no longer activates: it creates a draft
+DROP FUNCTION IF EXISTS save_scoring_version;
+
+CREATE OR REPLACE FUNCTION save_scoring_version(
+  p_game_type text,
+  p_config jsonb,
+  p_description text DEFAULT NULL,
+  p_created_by scoring_versions.created_by%TYPE DEFAULT NULL
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_name text;
+  v_row scoring_versions;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || p_game_type));
+
+  v_name := COALESCE(get_next_version_name(p_game_type), 'V1');
+
+  INSERT INTO scoring_versions (game_type, version_name, description, is_active, status, config, created_by)
+  VALUES (p_game_type, v_name, COALESCE(p_description, 'Version ' || v_name), false, 'draft', p_config, p_created_by)
+  RETURNING * INTO v_row;
+
+  INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, actor)
+  VALUES (v_row.id, NULL, 'draft', p_created_by::text);
+
+  RETURN v_row;
+END;
+$$;
+
+-- Review transitions (everything except activation)
+CREATE OR REPLACE FUNCTION transition_scoring_version(
+  p_game_type text,
+  p_version_name text,
+  p_to_status text,
+  p_actor text,
+  p_note text DEFAULT NULL
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row scoring_versions;
+  v_from text;
+  v_submitted_by text;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || p_game_type));
+
+  SELECT * INTO v_row
+  FROM scoring_versions
+  WHERE game_type = p_game_type AND version_name = p_version_name
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Version % not found for %', p_version_name, p_game_type
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  IF NOT (
+    (v_row.status = 'draft' AND p_to_status IN ('in_review', 'retired')) OR
+    (v_row.status = 'in_review' AND p_to_status IN ('draft', 'approved')) OR
+    (v_row.status = 'approved' AND p_to_status = 'retired')
+  ) THEN
+    RAISE EXCEPTION 'Cannot move % from % to %', p_version_name, v_row.status, p_to_status
+      USING ERRCODE = 'P0400';
+  END IF;
+
+  IF p_to_status = 'approved' THEN
+    SELECT actor INTO v_submitted_by
+    FROM scoring_version_transitions
+    WHERE scoring_version_id = v_row.id AND to_status = 'in_review'
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF p_actor IS NULL OR p_actor = v_submitted_by OR p_actor = v_row.created_by::text THEN
+      RAISE EXCEPTION 'Version % must be approved by an admin who did not author or submit it', p_version_name
+        USING ERRCODE = 'P0400';
+    END IF;
+  END IF;
+
+  v_from := v_row.status;
+
+  UPDATE scoring_versions
+  SET status = p_to_status, updated_at = now()
+  WHERE id = v_row.id
+  RETURNING * INTO v_row;
+
+  INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, actor, note)
+  VALUES (v_row.id, v_from, p_to_status, p_actor, p_note);
+
+  RETURN v_row;
+END;
+$$;
+
+-- Activation respects the lifecycle: only approved or retired versions go live
+DROP FUNCTION IF EXISTS activate_scoring_version;
+
+CREATE OR REPLACE FUNCTION activate_scoring_version(
+  p_game_type text,
+  p_version_name text,
+  p_expected_version text DEFAULT NULL,
+  p_check_expected boolean DEFAULT false,
+  p_actor text DEFAULT NULL
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row scoring_versions;
+  v_from text;
+  v_previous scoring_versions;
+BEGIN
+  PERFORM check_expected_version(p_game_type, p_expected_version, p_check_expected);
+
+  SELECT * INTO v_row
+  FROM scoring_versions
+  WHERE game_type = p_game_type AND version_name = p_version_name
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Version % not found for %', p_version_name, p_game_type
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  IF v_row.status = 'active' THEN
+    RETURN v_row;
+  END IF;
+
+  IF v_row.status NOT IN ('approved', 'retired') THEN
+    RAISE EXCEPTION 'Version % is % and must be approved before activation', p_version_name, v_row.status
+      USING ERRCODE = 'P0400';
+  END IF;
+
+  v_from := v_row.status;
+
+  UPDATE scoring_versions
+  SET is_active = false, status = 'retired', updated_at = now()
+  WHERE game_type = p_game_type AND is_active
+  RETURNING * INTO v_previous;
+
+  IF v_previous.id IS NOT NULL THEN
+    INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, actor, note)
+    VALUES (v_previous.id, 'active', 'retired', p_actor, 'Replaced by ' || p_version_name);
+  END IF;
+
+  UPDATE scoring_versions
+  SET is_active = true, status = 'active', activated_at = now(), updated_at = now()
+  WHERE id = v_row.id
+  RETURNING * INTO v_row;
+
+  INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, actor)
+  VALUES (v_row.id, v_from, 'active', p_actor);
+
+  RETURN v_row;
+END;
+$$;
+
+-- Repairs only ever activate versions that went through review
+CREATE OR REPLACE FUNCTION repair_active_versions(p_game_type text DEFAULT NULL)
+RETURNS TABLE (game_type text, problem text, active_version text)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game record;
+  v_keep scoring_versions;
+BEGIN
+  FOR v_game IN
+    SELECT sv.game_type, count(*) FILTER (WHERE sv.is_active) AS active_count
+    FROM scoring_versions sv
+    WHERE p_game_type IS NULL OR sv.game_type = p_game_type
+    GROUP BY sv.game_type
+  LOOP
+    CONTINUE WHEN v_game.active_count = 1;
+
+    PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || v_game.game_type));
+
+    v_keep := NULL;
+    SELECT * INTO v_keep
+    FROM scoring_versions sv
+    WHERE sv.game_type = v_game.game_type
+      AND (sv.is_active OR (v_game.active_count = 0 AND sv.status IN ('approved', 'retired')))
+    ORDER BY sv.activated_at DESC NULLS LAST, sv.created_at DESC
+    LIMIT 1;
+
+    game_type := v_game.game_type;
+    problem := CASE WHEN v_game.active_count = 0 THEN 'no_active_version' ELSE 'multiple_active_versions' END;
+    active_version := v_keep.version_name;
+
+    IF v_keep.id IS NOT NULL THEN
+      UPDATE scoring_versions sv
+      SET is_active = false, status = 'retired', updated_at = now()
+      WHERE sv.game_type = v_game.game_type AND sv.is_active AND sv.id <> v_keep.id;
+
+      UPDATE scoring_versions sv
+      SET is_active = true, status = 'active', activated_at = COALESCE(sv.activated_at, now()), updated_at = now()
+      WHERE sv.id = v_keep.id;
+
+      INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, note)
+      VALUES (v_keep.id, v_keep.status, 'active', 'Active version repair');
+    END IF;
+
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
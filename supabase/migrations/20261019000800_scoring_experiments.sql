@@ -0,0 +1,26 @@
+-- A/B experiments between scoring versions of a game. arms holds
+-- [{ name, scoring_version_id, version_name, percent }]; users are assigned
+-- to an arm by hashing experiment id + user_id (see experiment.service.js)
+CREATE TABLE IF NOT EXISTS scoring_experiments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_type text NOT NULL,
+  name text NOT NULL,
+  description text,
+  arms jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'stopped')),
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  stopped_at timestamptz
+);
+
+-- One running experiment per game type
+CREATE UNIQUE INDEX IF NOT EXISTS scoring_experiments_one_running
+  ON scoring_experiments (game_type) WHERE status = 'running';
+
+-- Experiment and arm that scored each session
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS experiment_id uuid REFERENCES scoring_experiments(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS experiment_arm text;
+
+CREATE INDEX IF NOT EXISTS test_sessions_experiment_idx
+  ON test_sessions (experiment_id, experiment_arm) WHERE experiment_id IS NOT NULL;
@@ -0,0 +1,30 @@
+-- Shadow scoring: candidate versions scored next to the live version on every
+-- submission. Results are kept apart from test_sessions.final_scores.
+CREATE TABLE IF NOT EXISTS shadow_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_type text NOT NULL,
+  scoring_version_id uuid NOT NULL REFERENCES scoring_versions(id) ON DELETE CASCADE,
+  version_name text NOT NULL,
+  enabled boolean NOT NULL DEFAULT true,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  disabled_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS shadow_versions_one_enabled
+  ON shadow_versions (scoring_version_id) WHERE enabled;
+
+-- One row per session and shadow version; error is set when scoring failed
+CREATE TABLE IF NOT EXISTS shadow_scores (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL REFERENCES test_sessions(id) ON DELETE CASCADE,
+  game_type text NOT NULL,
+  scoring_version_id uuid NOT NULL REFERENCES scoring_versions(id) ON DELETE CASCADE,
+  live_version_id uuid REFERENCES scoring_versions(id) ON DELETE SET NULL,
+  scores jsonb,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS shadow_scores_version_idx
+  ON shadow_scores (scoring_version_id);
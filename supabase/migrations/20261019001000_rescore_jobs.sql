@@ -0,0 +1,50 @@
+-- Rescore jobs: replay stored receipts of past sessions through another
+-- scoring version. A job walks its sessions in id order and stores a cursor
+-- after every batch so it can be paused and resumed.
+CREATE TABLE IF NOT EXISTS rescore_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_type text NOT NULL,
+  target_version_id uuid NOT NULL REFERENCES scoring_versions(id) ON DELETE CASCADE,
+  target_version_name text NOT NULL,
+  filters jsonb NOT NULL DEFAULT '{}',
+  dry_run boolean NOT NULL DEFAULT false,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed', 'cancelled')),
+  total integer NOT NULL DEFAULT 0,
+  processed integer NOT NULL DEFAULT 0,
+  succeeded integer NOT NULL DEFAULT 0,
+  failed integer NOT NULL DEFAULT 0,
+  cursor uuid,
+  summary jsonb NOT NULL DEFAULT '{}',
+  last_error text,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz,
+  finished_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rescore_jobs_game_type_idx
+  ON rescore_jobs (game_type, created_at);
+
+-- Score history of rescored sessions: revision 1 holds the original scores,
+-- each rescore adds the next revision. Sessions never rescored have no rows.
+CREATE TABLE IF NOT EXISTS score_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL REFERENCES test_sessions(id) ON DELETE CASCADE,
+  revision integer NOT NULL,
+  source text NOT NULL CHECK (source IN ('original', 'rescore')),
+  job_id uuid REFERENCES rescore_jobs(id) ON DELETE SET NULL,
+  scoring_version_id uuid REFERENCES scoring_versions(id) ON DELETE SET NULL,
+  scores jsonb,
+  explanation jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (session_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS score_revisions_job_idx
+  ON score_revisions (job_id);
+
+-- Revision the session's final_scores come from (NULL = never rescored)
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS score_revision integer;
@@ -0,0 +1,98 @@
+-- Discarded scoring versions
+-- Discarding used to move a draft or approved version to 'retired', the same
+-- status as a version that was replaced, so an unreviewed draft could be
+-- discarded and then activated (or pinned by experiments and batteries).
+-- Discarded versions now get their own status, which is never activated,
+-- repaired into activity or pinned. 'retired' only means "was active before".
+--
+-- Allowed transitions:
+--   draft     -> in_review (submit), discarded (discard)
+--   in_review -> draft (changes requested), approved (by another admin)
+--   approved  -> active (activate_scoring_version), discarded (discard)
+--   active    -> retired (only when another version is activated)
+--   retired   -> active (rollback through activate_scoring_version)
+
+ALTER TABLE scoring_versions
+  DROP CONSTRAINT IF EXISTS scoring_versions_status_check;
+
+ALTER TABLE scoring_versions
+  ADD CONSTRAINT scoring_versions_status_check
+    CHECK (status IN ('draft', 'in_review', 'approved', 'active', 'retired', 'discarded'));
+
+-- Versions that were discarded and never active
+UPDATE scoring_versions sv
+SET status = 'discarded', updated_at = now()
+WHERE sv.status = 'retired'
+  AND EXISTS (
+    SELECT 1 FROM scoring_version_transitions t
+    WHERE t.scoring_version_id = sv.id
+      AND t.to_status = 'retired'
+      AND t.from_status IN ('draft', 'approved')
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM scoring_version_transitions t
+    WHERE t.scoring_version_id = sv.id AND t.to_status = 'active'
+  );
+
+CREATE OR REPLACE FUNCTION transition_scoring_version(
+  p_game_type text,
+  p_version_name text,
+  p_to_status text,
+  p_actor text,
+  p_note text DEFAULT NULL
+)
+RETURNS scoring_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row scoring_versions;
+  v_from text;
+  v_submitted_by text;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || p_game_type));
+
+  SELECT * INTO v_row
+  FROM scoring_versions
+  WHERE game_type = p_game_type AND version_name = p_version_name
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Version % not found for %', p_version_name, p_game_type
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  IF NOT (
+    (v_row.status = 'draft' AND p_to_status IN ('in_review', 'discarded')) OR
+    (v_row.status = 'in_review' AND p_to_status IN ('draft', 'approved')) OR
+    (v_row.status = 'approved' AND p_to_status = 'discarded')
+  ) THEN
+    RAISE EXCEPTION 'Cannot move % from % to %', p_version_name, v_row.status, p_to_status
+      USING ERRCODE = 'P0400';
+  END IF;
+
+  IF p_to_status = 'approved' THEN
+    SELECT actor INTO v_submitted_by
+    FROM scoring_version_transitions
+    WHERE scoring_version_id = v_row.id AND to_status = 'in_review'
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF p_actor IS NULL OR p_actor = v_submitted_by OR p_actor = v_row.created_by::text THEN
+      RAISE EXCEPTION 'Version % must be approved by an admin who did not author or submit it', p_version_name
+        USING ERRCODE = 'P0400';
+    END IF;
+  END IF;
+
+  v_from := v_row.status;
+
+  UPDATE scoring_versions
+  SET status = p_to_status, updated_at = now()
+  WHERE id = v_row.id
+  RETURNING * INTO v_row;
+
+  INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, actor, note)
+  VALUES (v_row.id, v_from, p_to_status, p_actor, p_note);
+
+  RETURN v_row;
+END;
+$$;
@@ -0,0 +1,28 @@
+-- Atomic profile mapping saves
+-- Deactivating the old mapping and inserting the new one used to be separate
+-- calls: a failed insert left no active mapping, and concurrent saves could
+-- collide. Both writes now run in one function (one transaction), serialized
+-- by an advisory lock; profile_mappings_one_active still allows one active row.
+CREATE OR REPLACE FUNCTION save_profile_mapping(
+  p_mapping jsonb,
+  p_created_by text DEFAULT NULL
+)
+RETURNS profile_mappings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_row profile_mappings;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('profile_mappings'));
+
+  UPDATE profile_mappings
+  SET is_active = false
+  WHERE is_active;
+
+  INSERT INTO profile_mappings (mapping, is_active, created_by)
+  VALUES (p_mapping, true, p_created_by)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
@@ -0,0 +1,56 @@
+-- Active version repair runs only when asked for (admin route or
+-- npm run versions:repair), no longer on every server start.
+-- Active versions are now counted after the game type's advisory lock is
+-- taken, so a concurrent activation cannot be undone by a stale count, and
+-- game types without a version that may be activated (only drafts, versions
+-- in review or discarded ones) are skipped instead of reported as repaired.
+CREATE OR REPLACE FUNCTION repair_active_versions(p_game_type text DEFAULT NULL)
+RETURNS TABLE (game_type text, problem text, active_version text)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game text;
+  v_active_count integer;
+  v_keep scoring_versions;
+BEGIN
+  FOR v_game IN
+    SELECT DISTINCT sv.game_type
+    FROM scoring_versions sv
+    WHERE p_game_type IS NULL OR sv.game_type = p_game_type
+  LOOP
+    PERFORM pg_advisory_xact_lock(hashtext('scoring_versions:' || v_game));
+
+    SELECT count(*) INTO v_active_count
+    FROM scoring_versions sv
+    WHERE sv.game_type = v_game AND sv.is_active;
+
+    CONTINUE WHEN v_active_count = 1;
+
+    v_keep := NULL;
+    SELECT * INTO v_keep
+    FROM scoring_versions sv
+    WHERE sv.game_type = v_game
+      AND (sv.is_active OR (v_active_count = 0 AND sv.status IN ('approved', 'retired')))
+    ORDER BY sv.activated_at DESC NULLS LAST, sv.created_at DESC
+    LIMIT 1;
+
+    CONTINUE WHEN v_keep.id IS NULL;
+
+    UPDATE scoring_versions sv
+    SET is_active = false, status = 'retired', updated_at = now()
+    WHERE sv.game_type = v_game AND sv.is_active AND sv.id <> v_keep.id;
+
+    UPDATE scoring_versions sv
+    SET is_active = true, status = 'active', activated_at = COALESCE(sv.activated_at, now()), updated_at = now()
+    WHERE sv.id = v_keep.id;
+
+    INSERT INTO scoring_version_transitions (scoring_version_id, from_status, to_status, note)
+    VALUES (v_keep.id, v_keep.status, 'active', 'Active version repair');
+
+    game_type := v_game;
+    problem := CASE WHEN v_active_count = 0 THEN 'no_active_version' ELSE 'multiple_active_versions' END;
+    active_version := v_keep.version_name;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
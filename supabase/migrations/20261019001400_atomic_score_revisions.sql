@@ -0,0 +1,57 @@
+-- Atomic score revisions
+-- A rescore used to insert its score_revisions rows and update the session in
+-- separate calls. When the update failed the revision existed anyway, so a
+-- resumed job skipped the session and its final_scores were never replaced.
+-- Both writes now run in one function (one transaction); the session row is
+-- locked so revisions of one session are numbered one at a time.
+CREATE OR REPLACE FUNCTION save_score_revision(
+  p_session_id uuid,
+  p_job_id uuid,
+  p_scoring_version_id uuid,
+  p_scores jsonb,
+  p_explanation jsonb DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_session test_sessions;
+  v_revision integer;
+BEGIN
+  SELECT * INTO v_session
+  FROM test_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session % not found', p_session_id
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  SELECT max(revision) INTO v_revision
+  FROM score_revisions
+  WHERE session_id = p_session_id;
+
+  -- The first rescore keeps the session's original scores as revision 1
+  IF v_revision IS NULL THEN
+    v_revision := 1;
+    INSERT INTO score_revisions (session_id, revision, source, scoring_version_id, scores, explanation)
+    VALUES (p_session_id, v_revision, 'original', v_session.scoring_version_id,
+            v_session.final_scores, v_session.score_explanation);
+  END IF;
+
+  v_revision := v_revision + 1;
+
+  INSERT INTO score_revisions (session_id, revision, source, job_id, scoring_version_id, scores, explanation)
+  VALUES (p_session_id, v_revision, 'rescore', p_job_id, p_scoring_version_id, p_scores, p_explanation);
+
+  UPDATE test_sessions
+  SET final_scores = p_scores,
+      scoring_version_id = p_scoring_version_id,
+      score_explanation = p_explanation,
+      score_revision = v_revision
+  WHERE id = p_session_id;
+
+  RETURN v_revision;
+END;
+$$;
@@ -0,0 +1,45 @@
+-- Atomic norms recompute
+-- Recomputing deleted a version's norms and then inserted the new ones in
+-- separate calls, so a failed insert left the version without norms. The
+-- swap now runs in one function (one transaction): readers see the old
+-- tables until the new ones are committed.
+-- p_rows: [{ group_key, sample_size, metrics, computed_at }]
+CREATE OR REPLACE FUNCTION replace_score_norms(
+  p_scoring_version_id uuid,
+  p_rows jsonb
+)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_game_type text;
+  v_count integer;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('score_norms:' || p_scoring_version_id::text));
+
+  SELECT game_type INTO v_game_type
+  FROM scoring_versions
+  WHERE id = p_scoring_version_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Scoring version % not found', p_scoring_version_id
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  -- Groups without sessions disappear
+  DELETE FROM score_norms
+  WHERE scoring_version_id = p_scoring_version_id;
+
+  INSERT INTO score_norms (game_type, scoring_version_id, group_key, sample_size, metrics, computed_at)
+  SELECT v_game_type,
+         p_scoring_version_id,
+         r->>'group_key',
+         (r->>'sample_size')::integer,
+         r->'metrics',
+         COALESCE((r->>'computed_at')::timestamptz, now())
+  FROM jsonb_array_elements(COALESCE(p_rows, '[]'::jsonb)) AS r;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
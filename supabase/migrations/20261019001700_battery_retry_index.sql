@@ -0,0 +1,12 @@
+-- Battery game retries
+-- The battery index allowed one test_sessions row per game, so a game
+-- flagged needs_review (or an AI attempt left in_progress) could never be
+-- played again: the retry's insert failed on the index. Only completed
+-- sessions are unique now. The AI path inserts in_progress and updates to
+-- completed afterwards, which only collides when the game was completed
+-- by another attempt in the meantime.
+DROP INDEX IF EXISTS test_sessions_battery_game_idx;
+
+CREATE UNIQUE INDEX IF NOT EXISTS test_sessions_battery_game_idx
+  ON test_sessions (battery_session_id, game_type)
+  WHERE battery_session_id IS NOT NULL AND status = 'completed';
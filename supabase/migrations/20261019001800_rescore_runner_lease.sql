@@ -0,0 +1,71 @@
+-- Rescore runner lease
+-- Resuming a job that was still running started a second runner; both
+-- saved progress from their own copy of the job and revised the same
+-- sessions. A job is now owned by the runner in runner_id, which sends a
+-- heartbeat (updated_at) after every batch. Progress is only saved by the
+-- owner, and a running job is only taken over once its heartbeat is stale.
+ALTER TABLE rescore_jobs
+  ADD COLUMN IF NOT EXISTS runner_id uuid;
+
+-- A runner that lost its lease may still finish the batch it was on: a
+-- session the job already revised is not revised again.
+CREATE OR REPLACE FUNCTION save_score_revision(
+  p_session_id uuid,
+  p_job_id uuid,
+  p_scoring_version_id uuid,
+  p_scores jsonb,
+  p_explanation jsonb DEFAULT NULL
+)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_session test_sessions;
+  v_revision integer;
+BEGIN
+  SELECT * INTO v_session
+  FROM test_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session % not found', p_session_id
+      USING ERRCODE = 'P0404';
+  END IF;
+
+  IF p_job_id IS NOT NULL THEN
+    SELECT revision INTO v_revision
+    FROM score_revisions
+    WHERE session_id = p_session_id AND job_id = p_job_id;
+
+    IF FOUND THEN
+      RETURN v_revision;
+    END IF;
+  END IF;
+
+  SELECT max(revision) INTO v_revision
+  FROM score_revisions
+  WHERE session_id = p_session_id;
+
+  -- The first rescore keeps the session's original scores as revision 1
+  IF v_revision IS NULL THEN
+    v_revision := 1;
+    INSERT INTO score_revisions (session_id, revision, source, scoring_version_id, scores, explanation)
+    VALUES (p_session_id, v_revision, 'original', v_session.scoring_version_id,
+            v_session.final_scores, v_session.score_explanation);
+  END IF;
+
+  v_revision := v_revision + 1;
+
+  INSERT INTO score_revisions (session_id, revision, source, job_id, scoring_version_id, scores, explanation)
+  VALUES (p_session_id, v_revision, 'rescore', p_job_id, p_scoring_version_id, p_scores, p_explanation);
+
+  UPDATE test_sessions
+  SET final_scores = p_scores,
+      score_explanation = p_explanation,
+      score_revision = v_revision
+  WHERE id = p_session_id;
+
+  RETURN v_revision;
+END;
+$$;